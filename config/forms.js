@@ -0,0 +1,140 @@
+// Form declarations
+// Every public form is declared once here. The server mounts
+// POST /api/<slug> and POST /api/forms/<slug> for each entry.
+//
+//   slug        route slug, also the key used by recipient routing and confirmations
+//   name        display name used in emails and stored as the submission's formType
+//   subject     notification subject (defaults to "New <name> Submission",
+//               translated); field labels and translated names are in locales/
+//   schema      validation schema, see lib/validation.js
+//   recipients  default to/cc/bcc, overridden by config/recipients.json
+//   uploads     files accepted as multipart/form-data, see lib/uploads.js
+//   prepare     async (req) hook run after validation, before saving; returns
+//               { errors } to reject with a 400, or optional { record,
+//               emailFields, confirmationFields, subjectTag (appended to the
+//               notification and confirmation subjects), attachments,
+//               inlineImages, afterSave(submission), discard() (removes
+//               files stored for a request that isn't saved) } extras;
+//               several hooks can be chained with combinePrepare (lib/formHooks.js)
+//   afterVerify async (submission) hook run when a submission held for email
+//               verification is confirmed (lib/emailVerification.js); does
+//               what afterSave skips for unconfirmed submissions
+
+const { fields: f, dateRange } = require('../lib/validation');
+const roster = require('../lib/roster');
+const groupPricing = require('../lib/groupPricing');
+const { combinePrepare } = require('../lib/formHooks');
+const { groups: paceGroups } = require('./pacers');
+const { prepareImages } = require('../lib/imageUploads');
+const sponsorLeads = require('../lib/sponsorLeads');
+const tickets = require('../lib/tickets');
+
+// Profile photos: JPEG/PNG/WebP up to 5 MB, sent as multipart or a data URL
+const PROFILE_IMAGE_UPLOAD = {
+  field: 'profileImage',
+  maxBytes: 5 * 1024 * 1024,
+  image: { types: ['jpeg', 'png', 'webp'], minWidth: 100, minHeight: 100, maxWidth: 6000, maxHeight: 6000 }
+};
+
+module.exports = [
+  {
+    slug: 'volunteer',
+    name: 'Volunteer Registration',
+    schema: {
+      fields: {
+        name: { ...f.NAME, required: true },
+        email: { ...f.EMAIL, required: true },
+        phone: f.PHONE,
+        mobile: f.PHONE,
+        preferredArea: f.SHORT_TEXT,
+        availableDateStart: { type: 'date' },
+        availableDateEnd: { type: 'date' },
+        timeAvailability: f.SHORT_TEXT,
+        whyVolunteer: f.LONG_TEXT,
+        // A URL; uploaded images arrive as files instead
+        profileImage: { type: 'string', maxLength: 2000 }
+      },
+      rules: [dateRange('availableDateStart', 'availableDateEnd')]
+    },
+    uploads: [PROFILE_IMAGE_UPLOAD],
+    prepare: prepareImages(['profileImage'])
+  },
+  {
+    slug: 'bulk-registration',
+    name: 'Bulk Registration Request',
+    schema: {
+      fields: {
+        organizationName: { ...f.SHORT_TEXT, required: true },
+        contactPersonName: { ...f.NAME, required: true },
+        designation: f.SHORT_TEXT,
+        mobile: { ...f.PHONE, required: true },
+        email: { ...f.EMAIL, required: true },
+        numberOfParticipants: { type: 'integer', min: 1, max: 10000, required: true },
+        additionalRequirements: f.LONG_TEXT,
+        couponCode: { type: 'string', maxLength: 32 }
+      }
+    },
+    // Optional participant roster (CSV/XLSX), one registration per valid row;
+    // then the group discount and coupon, priced from the roster when there is one
+    uploads: [{ field: 'roster', maxBytes: 2 * 1024 * 1024, extensions: ['.csv', '.xlsx'] }],
+    prepare: combinePrepare(roster.prepare, groupPricing.prepare),
+    afterVerify: roster.afterVerify
+  },
+  {
+    slug: 'sponsorship',
+    name: 'Sponsorship Inquiry',
+    schema: {
+      fields: {
+        companyName: { ...f.SHORT_TEXT, required: true },
+        contactPerson: { ...f.NAME, required: true },
+        email: { ...f.EMAIL, required: true },
+        phone: { ...f.PHONE, required: true },
+        sponsorshipLevel: f.SHORT_TEXT,
+        websiteUrl: { type: 'url', maxLength: 500 },
+        companyInfo: f.LONG_TEXT
+      }
+    },
+    // Tracked as a lead; sold-out tiers are waitlisted or refused (config/sponsorship.js)
+    prepare: sponsorLeads.prepare,
+    afterVerify: sponsorLeads.afterVerify
+  },
+  {
+    slug: 'pacer',
+    name: 'Pacer & Ambassador Application',
+    schema: {
+      fields: {
+        name: { ...f.NAME, required: true },
+        email: { ...f.EMAIL, required: true },
+        phone: f.PHONE,
+        mobile: f.PHONE,
+        rolePreference: f.SHORT_TEXT,
+        experience: f.LONG_TEXT,
+        // Preferred pace group; reviewers confirm or change it (lib/pacerReviews.js)
+        paceGroup: { type: 'string', oneOf: paceGroups.map(group => group.code) },
+        profileImage: { type: 'string', maxLength: 2000 }
+      }
+    },
+    uploads: [PROFILE_IMAGE_UPLOAD],
+    prepare: prepareImages(['profileImage'])
+  },
+  {
+    slug: 'contact',
+    name: 'Contact Us Form',
+    schema: {
+      fields: {
+        firstName: { ...f.NAME, required: true },
+        lastName: f.NAME,
+        email: { ...f.EMAIL, required: true },
+        phone: f.PHONE,
+        company: f.SHORT_TEXT,
+        subject: f.SHORT_TEXT,
+        message: f.LONG_TEXT,
+        privacyTermsAccepted: { type: 'boolean', mustBeTrue: true, required: true },
+        smsAuthorization: { type: 'boolean' }
+      }
+    },
+    // Opens a ticket; its reference goes in the email subjects (lib/tickets.js)
+    prepare: tickets.prepare,
+    afterVerify: tickets.afterVerify
+  }
+];
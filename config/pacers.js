@@ -0,0 +1,23 @@
+// Pace groups
+// Pacers run a race at a fixed finish time. Each group has a quota of pacers;
+// the review workflow (lib/pacerReviews.js) won't accept more than that.
+//
+//   code        pace group id, also offered on the pacer form as paceGroup
+//   race        race code from config/races.js
+//   targetTime  finish time the group runs to, h:mm
+//   quota       pacers needed
+
+module.exports = {
+  groups: [
+    { code: '10K-1:00', race: '10K', targetTime: '1:00', quota: 2 },
+    { code: '10K-1:10', race: '10K', targetTime: '1:10', quota: 2 },
+    { code: '21K-1:45', race: '21K', targetTime: '1:45', quota: 2 },
+    { code: '21K-2:00', race: '21K', targetTime: '2:00', quota: 2 },
+    { code: '21K-2:15', race: '21K', targetTime: '2:15', quota: 2 },
+    { code: '21K-2:30', race: '21K', targetTime: '2:30', quota: 2 },
+    { code: '42K-3:30', race: '42K', targetTime: '3:30', quota: 2 },
+    { code: '42K-4:00', race: '42K', targetTime: '4:00', quota: 3 },
+    { code: '42K-4:30', race: '42K', targetTime: '4:30', quota: 3 },
+    { code: '42K-5:00', race: '42K', targetTime: '5:00', quota: 2 }
+  ]
+};
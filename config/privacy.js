@@ -0,0 +1,42 @@
+// Data privacy (lib/privacy.js)
+//
+//   policyVersion   the privacy policy in force, stored with the consent
+//                   record of every submission; bump it when the policy changes
+//   consentFields   boolean form fields that record consent
+//   retention       per form slug: days after submission before the record is
+//                   'anonymize'd (kept for statistics with the personal fields
+//                   cleared) or 'delete'd with its tickets, leads, reviews and
+//                   shift assignments; days null keeps it
+//   registrationRetention
+//                   days after an individual race registration before its
+//                   runner's details are anonymized (bib, race and payment
+//                   stay); days null keeps them
+//   keepFields      payload fields kept when anonymizing, free of personal data
+//   sweep           how often retention is applied
+//   requests        how long export/erasure confirmation links work, and how
+//                   many requests an email address can make per window
+
+module.exports = {
+  policyVersion: process.env.PRIVACY_POLICY_VERSION || '2026-01',
+  consentFields: ['privacyTermsAccepted', 'smsAuthorization'],
+  retention: {
+    volunteer: { days: 730, action: 'anonymize' },
+    'bulk-registration': { days: 1095, action: 'anonymize' },
+    sponsorship: { days: 1095, action: 'anonymize' },
+    pacer: { days: 730, action: 'anonymize' },
+    contact: { days: 365, action: 'delete' }
+  },
+  registrationRetention: { days: 1095 },
+  keepFields: [
+    'preferredArea', 'availableDateStart', 'availableDateEnd', 'timeAvailability',
+    'numberOfParticipants', 'sponsorshipLevel', 'rolePreference', 'paceGroup'
+  ],
+  sweep: {
+    intervalMinutes: 60
+  },
+  requests: {
+    linkHours: 24,
+    perEmailLimit: 3,
+    perEmailWindowMs: 60 * 60 * 1000
+  }
+};
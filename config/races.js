@@ -0,0 +1,71 @@
+// Races
+// code is what runners pick on forms and rosters; aliases are other spellings
+// accepted from uploaded rosters.
+//
+// Individual registration (lib/raceRegistration.js) also uses:
+//   capacity      places available, counting confirmed runners, unpaid holds
+//                 and bulk roster registrations
+//   price         regular entry fee in rupees
+//   priceWindows  cheaper fees until a date, first matching window wins
+//   minAge        age on race day
+//   bibStart      first bib number; ranges must not overlap (bibStart + capacity)
+//
+// groupDiscounts apply to bulk registrations by numberOfParticipants; the
+// highest tier reached wins. Coupon codes come on top (lib/pricing.js).
+
+module.exports = {
+  event: {
+    name: 'Fitcover360 Marathon 2027',
+    raceDate: '2027-01-17',
+    currency: 'INR',
+    registrationOpens: '2026-09-01T00:00:00+05:30',
+    registrationCloses: '2027-01-10T23:59:59+05:30'
+  },
+  groupDiscounts: [
+    { minParticipants: 10, percent: 5 },
+    { minParticipants: 25, percent: 10 },
+    { minParticipants: 50, percent: 15 }
+  ],
+  categories: [
+    {
+      code: '5K',
+      name: '5K Fun Run',
+      aliases: ['5', '5 km', '5km', 'fun run'],
+      capacity: 3000,
+      price: 699,
+      priceWindows: [{ label: 'Early bird', until: '2026-11-30T23:59:59+05:30', price: 499 }],
+      minAge: 8,
+      bibStart: 50001
+    },
+    {
+      code: '10K',
+      name: '10K Run',
+      aliases: ['10', '10 km', '10km'],
+      capacity: 2500,
+      price: 999,
+      priceWindows: [{ label: 'Early bird', until: '2026-11-30T23:59:59+05:30', price: 799 }],
+      minAge: 14,
+      bibStart: 10001
+    },
+    {
+      code: '21K',
+      name: 'Half Marathon',
+      aliases: ['21', '21 km', '21km', '21.1k', 'half marathon', 'half'],
+      capacity: 2000,
+      price: 1499,
+      priceWindows: [{ label: 'Early bird', until: '2026-11-30T23:59:59+05:30', price: 1199 }],
+      minAge: 18,
+      bibStart: 21001
+    },
+    {
+      code: '42K',
+      name: 'Full Marathon',
+      aliases: ['42', '42 km', '42km', '42.2k', 'full marathon', 'marathon', 'full'],
+      capacity: 1000,
+      price: 1999,
+      priceWindows: [{ label: 'Early bird', until: '2026-11-30T23:59:59+05:30', price: 1599 }],
+      minAge: 18,
+      bibStart: 42001
+    }
+  ]
+};
@@ -0,0 +1,40 @@
+// Sponsorship sales
+// Every sponsorship inquiry becomes a lead in the pipeline (lib/sponsorLeads.js).
+//
+//   soldOut    what the form does with an inquiry for a tier with nothing
+//              left: 'waitlist' (default) accepts it as a waitlisted lead,
+//              'reject' turns it away with a validation error
+//   tiers      sponsorship packages; quantity is how many can be sold, price
+//              the list price in rupees (a lead's starting deal value).
+//              aliases are other words inquirers use for the tier on the
+//              form's free-text sponsorshipLevel (lowercased, exact match)
+//   stages     per pipeline stage: probability of closing (weights the
+//              pipeline value) and staleAfterDays, how long a lead may sit
+//              without activity before the sponsorship team is reminded
+//   reminders  how often stale leads are checked, how long before a lead that
+//              is still stale is included in a reminder again, and the zone
+//              dates in the reminder email are shown in
+
+module.exports = {
+  soldOut: process.env.SPONSORSHIP_SOLD_OUT === 'reject' ? 'reject' : 'waitlist',
+  tiers: [
+    { code: 'title', name: 'Title Sponsor', quantity: 1, price: 2500000, aliases: ['title', 'title sponsor', 'presenting'] },
+    { code: 'platinum', name: 'Platinum', quantity: 2, price: 1500000, aliases: ['platinum partner'] },
+    { code: 'gold', name: 'Gold', quantity: 3, price: 1000000, aliases: ['gold partner'] },
+    { code: 'silver', name: 'Silver', quantity: 5, price: 500000, aliases: ['silver partner'] },
+    { code: 'community', name: 'Community Partner', quantity: 10, price: 100000, aliases: ['community', 'bronze', 'supporter'] }
+  ],
+  stages: {
+    new: { probability: 0.1, staleAfterDays: 2 },
+    contacted: { probability: 0.2, staleAfterDays: 7 },
+    proposal_sent: { probability: 0.4, staleAfterDays: 5 },
+    negotiating: { probability: 0.7, staleAfterDays: 3 },
+    won: { probability: 1 },
+    lost: { probability: 0 }
+  },
+  reminders: {
+    intervalMinutes: 60,
+    repeatHours: 24,
+    timezone: 'Asia/Kolkata'
+  }
+};
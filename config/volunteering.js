@@ -0,0 +1,30 @@
+// Volunteer scheduling
+// Stations and shifts themselves are created by coordinators through the
+// admin API (lib/shifts.js); this file holds what the scheduler matches on.
+//
+//   timezone               shift times and volunteer availability are read in this zone
+//   maxShiftsPerVolunteer  auto-suggestions stop at this many shifts per volunteer
+//   areas                  station types; keywords match a volunteer's free-text
+//                          preferredArea (lowercased, substring match)
+//   timeWindows            words in timeAvailability and the hours they mean
+//                          ("HH:MM" local time); "6am-10am" style ranges also work
+
+module.exports = {
+  timezone: 'Asia/Kolkata',
+  maxShiftsPerVolunteer: 2,
+  areas: [
+    { code: 'water_station', name: 'Water Station', keywords: ['water', 'hydration', 'aid station', 'refreshment', 'drinks'] },
+    { code: 'bib_expo', name: 'Bib Expo', keywords: ['expo', 'bib', 'kit', 'registration desk'] },
+    { code: 'finish_line', name: 'Finish Line', keywords: ['finish', 'medal'] },
+    { code: 'medical', name: 'Medical', keywords: ['medical', 'first aid', 'doctor', 'nurse', 'physio', 'ambulance'] },
+    { code: 'start_line', name: 'Start Line', keywords: ['start', 'baggage', 'corral'] },
+    { code: 'course_marshal', name: 'Course Marshal', keywords: ['marshal', 'course', 'route', 'traffic'] }
+  ],
+  timeWindows: {
+    'early morning': ['03:00', '08:00'],
+    morning: ['04:00', '12:00'],
+    afternoon: ['12:00', '17:00'],
+    evening: ['16:00', '21:00'],
+    night: ['19:00', '23:59']
+  }
+};
@@ -0,0 +1,33 @@
+// Admin authentication
+// Admin endpoints require the shared ADMIN_API_KEY, sent either as
+// "Authorization: Bearer <key>" or in the "x-admin-key" header.
+
+const crypto = require('crypto');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API not configured. Please set ADMIN_API_KEY.'
+    });
+  }
+
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-admin-key');
+  if (!provided || !safeEqual(provided, adminKey)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  next();
+};
+
+module.exports = {
+  safeEqual,
+  requireAdmin
+};
@@ -0,0 +1,70 @@
+// Captcha verification
+// CAPTCHA_PROVIDER selects the verifier:
+//   none       (default) no captcha required
+//   stub       local development/tests; accepts CAPTCHA_STUB_TOKEN (default "test-pass")
+//   recaptcha  Google reCAPTCHA, needs CAPTCHA_SECRET
+//   hcaptcha   hCaptcha, needs CAPTCHA_SECRET
+//   turnstile  Cloudflare Turnstile, needs CAPTCHA_SECRET
+// Every verifier is async (token, remoteIp) => { success, error? }.
+
+const SITEVERIFY_URLS = {
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+};
+
+// All three providers share the same siteverify request/response shape
+const siteverify = (url) => async (token, remoteIp) => {
+  if (!process.env.CAPTCHA_SECRET) {
+    return { success: false, error: 'CAPTCHA_SECRET not configured' };
+  }
+  const body = new URLSearchParams({ secret: process.env.CAPTCHA_SECRET, response: token });
+  if (remoteIp) {
+    body.set('remoteip', remoteIp);
+  }
+  try {
+    const response = await fetch(url, { method: 'POST', body, signal: AbortSignal.timeout(5000) });
+    const result = await response.json();
+    return result.success
+      ? { success: true }
+      : { success: false, error: (result['error-codes'] || []).join(', ') || 'verification failed' };
+  } catch (error) {
+    return { success: false, error: `captcha verification unavailable: ${error.message}` };
+  }
+};
+
+const verifiers = {
+  none: async () => ({ success: true }),
+  stub: async (token) => (token === (process.env.CAPTCHA_STUB_TOKEN || 'test-pass')
+    ? { success: true }
+    : { success: false, error: 'stub token mismatch' }),
+  recaptcha: siteverify(SITEVERIFY_URLS.recaptcha),
+  hcaptcha: siteverify(SITEVERIFY_URLS.hcaptcha),
+  turnstile: siteverify(SITEVERIFY_URLS.turnstile)
+};
+
+const providerName = () => process.env.CAPTCHA_PROVIDER || 'none';
+
+const isRequired = () => providerName() !== 'none';
+
+const verify = (token, remoteIp) => {
+  const verifier = verifiers[providerName()];
+  if (!verifier) {
+    return Promise.resolve({ success: false, error: `Unknown CAPTCHA_PROVIDER "${providerName()}"` });
+  }
+  if (isRequired() && !token) {
+    return Promise.resolve({ success: false, error: 'captcha token missing' });
+  }
+  return verifier(token, remoteIp);
+};
+
+// Swap in a custom verifier, e.g. from tests
+const registerVerifier = (name, verifier) => {
+  verifiers[name] = verifier;
+};
+
+module.exports = {
+  isRequired,
+  verify,
+  registerVerifier
+};
@@ -0,0 +1,158 @@
+// Confirmation emails to the submitter
+// After a submission is saved, the person who filled in the form gets an
+// auto-reply with next steps for that form type, in the same branded layout.
+// Forms without an entry below get no auto-reply. The texts are in locales/
+// (lib/i18n.js), the markup in templates/confirmation/ (lib/templates.js).
+// Disable all of them with CONFIRMATION_EMAILS=false, or individual forms
+// with CONFIRMATION_DISABLED_FORMS=volunteer,contact (route slugs).
+
+const { logoBase64 } = require('./emails');
+const emailTemplates = require('./templates');
+const { DEFAULT_LOCALE, t, raceName } = require('./i18n');
+const mailer = require('./mailer');
+const mailQueue = require('./mailQueue');
+const { formatAmount } = require('./pricing');
+
+// Per-form intro paragraphs; tr(key, params) reads confirmations.<slug>.<key>
+// from the locale files, which also hold each form's subject, heading and sections
+const templates = {
+  volunteer: {
+    intro: (formData, tr) => [
+      tr('intro'),
+      formData.preferredArea ? tr('preferredArea', formData) : tr('anyArea')
+    ]
+  },
+  'bulk-registration': {
+    intro: (formData, tr) => [
+      tr('intro', { organizationName: formData.organizationName || tr('yourOrganization') }),
+      formData.numberOfParticipants ? tr('participants', formData) : tr('groupNoted')
+    ]
+  },
+  sponsorship: {
+    intro: (formData, tr) => [
+      tr('intro', { companyName: formData.companyName || tr('yourCompany') }),
+      // sponsorshipWaitlisted comes from the tier check (lib/sponsorLeads.js)
+      formData.sponsorshipWaitlisted ? tr('waitlisted', formData)
+        : formData.sponsorshipLevel ? tr('level', formData) : tr('anyLevel')
+    ]
+  },
+  pacer: {
+    intro: (formData, tr) => [
+      tr('intro'),
+      formData.rolePreference ? tr('role', formData) : tr('anyRole')
+    ]
+  },
+  contact: {
+    intro: (formData, tr) => [
+      formData.subject ? tr('aboutSubject', formData) : tr('received'),
+      tr('reply'),
+      // ticketReference comes from the contact ticket (lib/tickets.js)
+      formData.ticketReference ? tr('ticket', formData) : null
+    ].filter(Boolean)
+  }
+};
+
+const submitterName = (formData) => formData.name || formData.firstName || formData.contactPersonName || formData.contactPerson || '';
+
+const isEnabled = (slug) => {
+  if (!templates[slug] || process.env.CONFIRMATION_EMAILS === 'false') {
+    return false;
+  }
+  const disabled = (process.env.CONFIRMATION_DISABLED_FORMS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  return !disabled.includes(slug);
+};
+
+// Template context: the greeting and intro paragraphs plus the sections
+const confirmationContext = (slug, formData, locale) => {
+  const tr = (key, params) => t(locale, `confirmations.${slug}.${key}`, params);
+  const name = submitterName(formData);
+  return {
+    locale,
+    heading: tr('heading'),
+    badge: t(locale, 'confirmation.badge'),
+    paragraphs: [name ? t(locale, 'confirmation.greeting', { name }) : t(locale, 'confirmation.greetingAnonymous')]
+      .concat(templates[slug].intro(formData, tr)),
+    sections: tr('sections'),
+    data: formData,
+    logo: logoBase64(),
+    footerNote: t(locale, 'confirmation.footerNote')
+  };
+};
+
+// Render a form's confirmation as { subject, html, text } in the given locale
+const renderConfirmation = (slug, formData, locale = DEFAULT_LOCALE) => ({
+  subject: t(locale, `confirmations.${slug}.subject`),
+  ...emailTemplates.render('confirmation', confirmationContext(slug, formData, locale), { slug })
+});
+
+// Queue the auto-reply for a saved submission, in the submitter's locale;
+// returns the queued message or null. subjectTag (e.g. a ticket reference)
+// is appended to the subject; holdFor (a submission id) holds it until that
+// submission's mail is released.
+const queueConfirmation = (slug, formData, locale, { subjectTag, holdFor = null } = {}) => {
+  if (!isEnabled(slug) || !formData.email) {
+    return null;
+  }
+  const content = renderConfirmation(slug, formData, locale);
+  return mailQueue.enqueue({
+    from: `"Fitcover360 Marathon" <${mailer.defaultFromEmail()}>`,
+    to: formData.email,
+    subject: subjectTag ? `${content.subject} ${subjectTag}` : content.subject,
+    text: content.text,
+    html: content.html
+  }, { kind: 'confirmation', hold: Boolean(holdFor), heldFor: holdFor });
+};
+
+// Render the registration email as { subject, html, text }; free (coupon)
+// registrations have no payment id
+const renderRegistrationConfirmation = (registration, category, event) => {
+  const locale = registration.locale || DEFAULT_LOCALE;
+  const race = raceName(locale, category);
+  const tr = (key, params) => t(locale, `registration.${key}`, params);
+  const { participant } = registration;
+  return {
+    subject: tr('subject', { bibNumber: registration.bibNumber }),
+    ...emailTemplates.render('registration', {
+      locale,
+      heading: tr('heading'),
+      badge: event.name,
+      paragraphs: [t(locale, 'confirmation.greeting', { name: participant.name }), tr('intro', { race })],
+      details: [
+        { label: tr('bibNumber'), value: registration.bibNumber },
+        { label: tr('race'), value: race },
+        { label: tr('raceDate'), value: event.raceDate },
+        { label: tr('tshirtSize'), value: participant.tshirtSize },
+        { label: tr('amountPaid'), value: formatAmount(registration.price.amount, registration.price.currency) },
+        { label: tr('paymentId'), value: registration.payment.paymentId },
+        { label: tr('registrationId'), value: registration.id }
+      ].filter(detail => detail.value !== null && detail.value !== undefined),
+      sections: tr('sections'),
+      logo: logoBase64(),
+      footerNote: t(locale, 'confirmation.footerNote')
+    }, { slug: category.code.toLowerCase() })
+  };
+};
+
+// Queue the bib confirmation for a paid registration
+const queueRegistrationConfirmation = (registration, category, event) => {
+  const content = renderRegistrationConfirmation(registration, category, event);
+  return mailQueue.enqueue({
+    from: `"Fitcover360 Marathon" <${mailer.defaultFromEmail()}>`,
+    to: registration.participant.email,
+    subject: content.subject,
+    text: content.text,
+    html: content.html
+  }, { kind: 'registration' });
+};
+
+module.exports = {
+  templates,
+  isEnabled,
+  renderConfirmation,
+  queueConfirmation,
+  renderRegistrationConfirmation,
+  queueRegistrationConfirmation
+};
@@ -0,0 +1,191 @@
+// Coupon codes
+// Percentage or flat discounts created from the admin API, with an optional
+// usage cap, validity window, race restriction, minimum group size and
+// registration type (individual runners, bulk groups or both).
+//
+// A use is reserved while the runner pays (so the cap can't be overrun by
+// parallel checkouts), then redeemed or released. Reservations lapse on their
+// own at expiresAt.
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { categories } = require('../config/races');
+
+const coupons = createStore('coupons');
+const redemptions = createStore('coupon-redemptions');
+
+const TYPES = ['percent', 'flat'];
+const APPLIES_TO = ['individual', 'bulk'];
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,31}$/;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const findByCode = (code) => {
+  const normalized = normalizeCode(code);
+  return coupons.all().find(coupon => coupon.code === normalized) || null;
+};
+
+// Reserved (and not lapsed) or redeemed uses count against the cap
+const usesOf = (coupon, now = new Date()) => redemptions.all().filter(redemption => redemption.couponId === coupon.id
+  && (redemption.status === 'redeemed' || (redemption.status === 'reserved' && new Date(redemption.expiresAt) > now))).length;
+
+const validDate = (value) => value === undefined || value === null || value === '' || !Number.isNaN(new Date(value).getTime());
+
+// Admin input -> list of { field, code, message }, like lib/validation.js
+const validateCoupon = (input) => {
+  const errors = [];
+  const add = (field, code, message) => errors.push({ field, code, message });
+  const code = normalizeCode(input.code);
+  if (!CODE_PATTERN.test(code)) {
+    add('code', 'invalid_code', 'Code must be 3-32 letters, digits, dashes or underscores');
+  } else if (findByCode(code)) {
+    add('code', 'duplicate_code', `Coupon ${code} already exists`);
+  }
+  if (!TYPES.includes(input.type)) {
+    add('type', 'invalid_choice', `Must be one of: ${TYPES.join(', ')}`);
+  }
+  const value = Number(input.value);
+  if (!(value > 0) || (input.type === 'percent' && value > 100)) {
+    add('value', 'invalid_value', input.type === 'percent' ? 'Must be between 0 and 100' : 'Must be a positive amount in rupees');
+  }
+  if (input.maxRedemptions !== undefined && input.maxRedemptions !== null && !(Number.isInteger(input.maxRedemptions) && input.maxRedemptions > 0)) {
+    add('maxRedemptions', 'invalid_integer', 'Must be a positive whole number');
+  }
+  ['validFrom', 'expiresAt'].forEach(field => {
+    if (!validDate(input[field])) {
+      add(field, 'invalid_date', 'Must be a valid date');
+    }
+  });
+  const codes = categories.map(category => category.code);
+  if (input.raceCategories !== undefined && !(Array.isArray(input.raceCategories) && input.raceCategories.every(race => codes.includes(race)))) {
+    add('raceCategories', 'invalid_choice', `Must be a list of: ${codes.join(', ')}`);
+  }
+  if (input.appliesTo !== undefined && !(Array.isArray(input.appliesTo) && input.appliesTo.length > 0 && input.appliesTo.every(kind => APPLIES_TO.includes(kind)))) {
+    add('appliesTo', 'invalid_choice', `Must be a list of: ${APPLIES_TO.join(', ')}`);
+  }
+  if (input.minParticipants !== undefined && input.minParticipants !== null && !(Number.isInteger(input.minParticipants) && input.minParticipants > 0)) {
+    add('minParticipants', 'invalid_integer', 'Must be a positive whole number');
+  }
+  return errors;
+};
+
+const create = (input, { by = 'admin' } = {}) => coupons.insert({
+  id: crypto.randomUUID(),
+  code: normalizeCode(input.code),
+  description: input.description ? String(input.description).slice(0, 200) : null,
+  type: input.type,
+  value: Number(input.value),
+  maxRedemptions: input.maxRedemptions || null,
+  validFrom: input.validFrom ? new Date(input.validFrom).toISOString() : null,
+  expiresAt: input.expiresAt ? new Date(input.expiresAt).toISOString() : null,
+  raceCategories: input.raceCategories || [],
+  appliesTo: input.appliesTo || APPLIES_TO.slice(),
+  minParticipants: input.minParticipants || null,
+  active: input.active !== false,
+  createdBy: by,
+  createdAt: new Date().toISOString()
+});
+
+const setActive = (id, active) => coupons.update(id, { active: Boolean(active) });
+
+const rejection = (code, message) => ({ coupon: null, error: { code, message } });
+
+// Check a code for one use. context: { kind: 'individual' | 'bulk',
+// raceCategory, participants }. Returns { coupon } or { error: { code, message } }.
+const check = (code, { kind, raceCategory, participants } = {}, now = new Date()) => {
+  const coupon = findByCode(code);
+  if (!coupon || !coupon.active) {
+    return rejection('coupon_not_found', 'This coupon code is not valid');
+  }
+  if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+    return rejection('coupon_not_started', 'This coupon code is not active yet');
+  }
+  if (coupon.expiresAt && now > new Date(coupon.expiresAt)) {
+    return rejection('coupon_expired', 'This coupon code has expired');
+  }
+  if (coupon.maxRedemptions && usesOf(coupon, now) >= coupon.maxRedemptions) {
+    return rejection('coupon_exhausted', 'This coupon code has been fully used');
+  }
+  if (kind && !coupon.appliesTo.includes(kind)) {
+    return rejection('coupon_not_applicable', kind === 'bulk'
+      ? 'This coupon code is for individual registrations only'
+      : 'This coupon code is for group registrations only');
+  }
+  if (raceCategory && coupon.raceCategories.length > 0 && !coupon.raceCategories.includes(raceCategory)) {
+    return rejection('coupon_not_applicable', `This coupon code is only valid for: ${coupon.raceCategories.join(', ')}`);
+  }
+  if (coupon.minParticipants && (participants || 1) < coupon.minParticipants) {
+    return rejection('coupon_min_participants', `This coupon code needs at least ${coupon.minParticipants} participants`);
+  }
+  return { coupon, error: null };
+};
+
+// Discount in paise on an amount in paise, never more than the amount
+const discountOn = (coupon, amount) => {
+  const discount = coupon.type === 'percent'
+    ? Math.round(amount * coupon.value / 100)
+    : Math.round(coupon.value * 100);
+  return Math.min(discount, amount);
+};
+
+const describe = (coupon) => ({
+  code: coupon.code,
+  description: coupon.description,
+  type: coupon.type,
+  value: coupon.value,
+  raceCategories: coupon.raceCategories,
+  appliesTo: coupon.appliesTo,
+  minParticipants: coupon.minParticipants,
+  expiresAt: coupon.expiresAt
+});
+
+// target: { registrationId } or { submissionId }
+const reserve = (coupon, target, { discount, expiresAt }) => redemptions.insert({
+  id: crypto.randomUUID(),
+  couponId: coupon.id,
+  code: coupon.code,
+  ...target,
+  discount,
+  status: 'reserved',
+  expiresAt,
+  createdAt: new Date().toISOString(),
+  redeemedAt: null
+});
+
+const settle = (redemptionId, status, changes = {}) => redemptions.update(redemptionId, record => ({
+  ...record,
+  ...changes,
+  status,
+  redeemedAt: status === 'redeemed' ? new Date().toISOString() : record.redeemedAt
+}));
+
+const redeem = (redemptionId, changes) => settle(redemptionId, 'redeemed', changes);
+
+const release = (redemptionId) => settle(redemptionId, 'released');
+
+// Admin list with current usage
+const list = () => coupons.all()
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  .map(coupon => ({ ...coupon, uses: usesOf(coupon) }));
+
+const redemptionsOf = (coupon) => redemptions.all()
+  .filter(redemption => redemption.couponId === coupon.id)
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+module.exports = {
+  TYPES,
+  APPLIES_TO,
+  normalizeCode,
+  findByCode,
+  validateCoupon,
+  create,
+  setActive,
+  check,
+  discountOn,
+  describe,
+  reserve,
+  redeem,
+  release,
+  list,
+  redemptionsOf
+};
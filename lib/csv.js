@@ -0,0 +1,67 @@
+// CSV helpers
+// Writes RFC 4180 CSV that opens cleanly in Excel (UTF-8 BOM, CRLF rows) and
+// parses uploaded CSV files.
+
+// Cells starting with these are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// ...except plain numbers and phone numbers like +91 98765 43210
+const NUMERIC = /^[+-]?[\d\s().-]+$/;
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text) && !NUMERIC.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of arrays; the first row is usually the header
+const toCSV = (rows) => '﻿' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+// Parse CSV text into an array of rows (arrays of strings).
+// Handles quoted cells with commas, escaped quotes and line breaks; skips blank lines.
+const parseCSV = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+module.exports = {
+  toCSV,
+  parseCSV
+};
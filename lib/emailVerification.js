@@ -0,0 +1,169 @@
+// Email double opt-in
+// Forms listed in EMAIL_VERIFICATION_FORMS (route slugs) hold each new
+// submission until the submitter clicks a signed link emailed to them
+// (lib/signedLinks.js, needs EMAIL_LINK_SECRET). Until then the internal
+// notification and the confirmation wait in the mail queue as held messages
+// and no webhooks fire. The link works for EMAIL_VERIFICATION_HOURS (default
+// 48); after that the submission is marked expired and its held mail is
+// dropped. The submission itself is kept either way.
+//
+//   pending   waiting for the click
+//   verified  clicked in time; held mail released, webhooks sent and the
+//             form's afterVerify hook run (config/forms.js)
+//   expired   not clicked in time
+//
+// Texts are in locales/ (verification.*), the markup in templates/verification/.
+
+const { logoBase64 } = require('./emails');
+const emailTemplates = require('./templates');
+const { DEFAULT_LOCALE, t, formName } = require('./i18n');
+const mailer = require('./mailer');
+const mailQueue = require('./mailQueue');
+const submissions = require('./submissions');
+const signedLinks = require('./signedLinks');
+const webhooks = require('./webhooks');
+const { getForm } = require('./forms');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { event } = require('../config/races');
+
+const PURPOSE = 'email-verification';
+const LINK_PATH = '/api/verify-email';
+const TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS, 10) || 48;
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+// Link expiry is shown in the race's local time
+const TIMEZONE = 'Asia/Kolkata';
+
+metrics.define('email_verifications_total', { help: 'Email verification links sent, clicked and expired, by result' });
+
+const verifiedForms = () => (process.env.EMAIL_VERIFICATION_FORMS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+if (verifiedForms().length > 0 && !signedLinks.isConfigured()) {
+  logger.error('EMAIL_VERIFICATION_FORMS is set but EMAIL_LINK_SECRET is not; submissions go through unverified');
+}
+
+// Whether this submission has to be confirmed first; needs an email to send to
+const isRequired = (form, formData) => verifiedForms().includes(form.slug) &&
+  Boolean(formData.email) && signedLinks.isConfigured();
+
+// The submission's verification block when it is saved
+const pendingState = (now = new Date()) => ({
+  status: 'pending',
+  expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000).toISOString(),
+  verifiedAt: null
+});
+
+const formatDate = (value, locale) => new Intl.DateTimeFormat(`${locale}-IN`, { timeZone: TIMEZONE, dateStyle: 'medium', timeStyle: 'short' })
+  .format(new Date(value));
+
+// { subject, html, text } asking the submitter to click url
+const renderVerificationEmail = (form, submission, url) => {
+  const locale = submission.locale || DEFAULT_LOCALE;
+  const tr = (key, params) => t(locale, `verification.${key}`, params);
+  const name = submission.payload.name || submission.payload.firstName || submission.payload.contactPersonName || submission.payload.contactPerson;
+  return {
+    subject: tr('subject'),
+    ...emailTemplates.render('verification', {
+      locale,
+      heading: tr('heading'),
+      badge: event.name,
+      paragraphs: [
+        name ? t(locale, 'confirmation.greeting', { name }) : t(locale, 'confirmation.greetingAnonymous'),
+        tr('intro', { form: formName(locale, form) })
+      ],
+      button: { url, label: tr('button') },
+      expiry: tr('expiry', { date: formatDate(submission.verification.expiresAt, locale) }),
+      fallback: tr('linkFallback', { url }),
+      logo: logoBase64(),
+      footerNote: t(locale, 'confirmation.footerNote')
+    }, { slug: form.slug })
+  };
+};
+
+// Queue the link for a submission saved with pendingState()
+const sendVerification = (form, submission) => {
+  const token = signedLinks.create(PURPOSE, { s: submission.id }, submission.verification.expiresAt);
+  const content = renderVerificationEmail(form, submission, signedLinks.url(LINK_PATH, token));
+  metrics.increment('email_verifications_total', { result: 'sent' });
+  return mailQueue.enqueue({
+    from: `"Fitcover360 Marathon" <${mailer.defaultFromEmail()}>`,
+    to: submission.payload.email,
+    subject: content.subject,
+    text: content.text,
+    html: content.html
+  }, { kind: 'verification' });
+};
+
+const expire = (submission) => {
+  const dropped = mailQueue.discardHeld(submission.id);
+  metrics.increment('email_verifications_total', { result: 'expired' });
+  logger.info('Submission expired unverified', { form: submission.formSlug, submissionId: submission.id, droppedMail: dropped });
+  return submissions.updateVerification(submission.id, { status: 'expired', expiredAt: new Date().toISOString() });
+};
+
+// Handle a clicked link. Returns { status, submission } with status one of
+// verified, already_verified, expired or invalid.
+const verify = (token) => {
+  const result = signedLinks.verify(PURPOSE, token);
+  const submission = result.data ? submissions.get(result.data.s) : null;
+  if (!submission || !submission.verification) {
+    return { status: 'invalid', submission: null };
+  }
+  const state = submission.verification.status;
+  if (state === 'verified') {
+    return { status: 'already_verified', submission };
+  }
+  if (state === 'expired') {
+    return { status: 'expired', submission };
+  }
+  if (result.error) {
+    return { status: 'expired', submission: expire(submission) };
+  }
+
+  const verified = submissions.updateVerification(submission.id, { status: 'verified', verifiedAt: new Date().toISOString() });
+  const released = mailQueue.release(submission.id);
+  const form = getForm(submission.formSlug);
+  if (form) {
+    webhooks.dispatch(form, verified);
+  }
+  if (form && form.afterVerify) {
+    // What the form's afterSave skipped for an unconfirmed submission
+    Promise.resolve()
+      .then(() => form.afterVerify(verified))
+      .catch(error => logger.error('Form afterVerify hook failed', { form: form.slug, submissionId: submission.id, error }));
+  }
+  metrics.increment('email_verifications_total', { result: 'verified' });
+  logger.info('Submission email verified', { form: submission.formSlug, submissionId: submission.id, releasedMail: released });
+  return { status: 'verified', submission: verified };
+};
+
+// Expire pending submissions whose window has passed; returns how many
+const expirePending = (now = new Date()) => {
+  const due = submissions.filter({ verificationStatus: 'pending' })
+    .filter(submission => new Date(submission.verification.expiresAt) <= now);
+  due.forEach(expire);
+  return due.length;
+};
+
+const expiryTimer = setInterval(() => {
+  try {
+    expirePending();
+  } catch (error) {
+    logger.error('Expiring unverified submissions failed', { error });
+  }
+}, EXPIRY_INTERVAL_MS);
+// Don't keep the process alive just for the sweep
+expiryTimer.unref();
+
+module.exports = {
+  TTL_HOURS,
+  isRequired,
+  pendingState,
+  renderVerificationEmail,
+  sendVerification,
+  verify,
+  expirePending
+};
@@ -0,0 +1,77 @@
+// Email formatting
+// The internal notification (HTML and text) built from a submission's fields.
+// The markup lives in templates/ (lib/templates.js), the labels and texts in
+// locales/ (lib/i18n.js).
+
+const fs = require('fs');
+const path = require('path');
+const templates = require('./templates');
+const { DEFAULT_LOCALE, normalizeLocale, t, fieldLabel, formName } = require('./i18n');
+const logger = require('./logger');
+
+// Load logo as base64
+let logoBase64 = '';
+try {
+  const logoPath = path.join(__dirname, '..', '..', 'public', 'marathon-logo-new.png');
+  if (fs.existsSync(logoPath)) {
+    const logoBuffer = fs.readFileSync(logoPath);
+    logoBase64 = logoBuffer.toString('base64');
+    logger.info('Logo loaded');
+  } else {
+    logger.warn('Logo file not found, using fallback', { path: logoPath });
+  }
+} catch (error) {
+  logger.warn('Could not load logo', { error });
+}
+
+// Booleans read as Yes/No in emails and exports
+const displayValue = (value, locale = DEFAULT_LOCALE) => {
+  if (typeof value !== 'boolean') return value;
+  return t(locale, value ? 'values.yes' : 'values.no');
+};
+
+// Staff notifications follow the submitter's language unless
+// NOTIFICATION_LOCALE pins them to one
+const notificationLocale = (locale) => normalizeLocale(process.env.NOTIFICATION_LOCALE) || locale || DEFAULT_LOCALE;
+
+// Fields shown in the notification: non-empty values except email, which
+// gets its own row and the reply-to footer
+const notificationFields = (form, formData, locale) => Object.keys(formData)
+  .filter(key => formData[key] !== undefined && formData[key] !== null && formData[key] !== '' && key !== 'email')
+  .map(key => {
+    const value = displayValue(formData[key], locale);
+    return { key, label: fieldLabel(locale, form, key), value: value === 'null' ? t(locale, 'values.notProvided') : String(value) };
+  });
+
+// Internal notification as { subject, html, text } in the submission's
+// locale. form supplies the slug (for a per-form template) and name; images
+// are inline attachments ({ field, cid }) shown as thumbnails.
+const renderNotification = (form, formData, { images = [], locale } = {}) => {
+  const language = notificationLocale(locale);
+  const name = formName(language, form);
+  const content = templates.render('notification', {
+    locale: language,
+    heading: t(language, 'notification.heading'),
+    badge: name,
+    formType: name,
+    form: { slug: form.slug, name },
+    fields: notificationFields(form, formData, language),
+    data: formData,
+    email: formData.email || null,
+    images: images.map(image => ({ ...image, label: fieldLabel(language, form, image.field) })),
+    logo: logoBase64,
+    replyTo: formData.email || 'N/A',
+    footerNote: t(language, 'notification.footerNote')
+  }, { slug: form.slug });
+  return {
+    subject: form.subject || t(language, 'notification.subject', { form: name }),
+    ...content
+  };
+};
+
+module.exports = {
+  logoBase64: () => logoBase64,
+  displayValue,
+  notificationLocale,
+  renderNotification
+};
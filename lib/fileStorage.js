@@ -0,0 +1,62 @@
+// File storage
+// Uploaded files go through this interface so the backend can move to object
+// storage later without touching the form code. FILE_STORAGE selects the
+// implementation; only "local" (files under UPLOADS_DIR) exists today.
+//
+// A storage has:
+//   save({ buffer, originalName, contentType }) -> { key, size, contentType, originalName }
+//   read(key) -> Buffer
+//   remove(key)
+//   attachment(key) -> nodemailer attachment fields ({ path } or { content })
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./store');
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+// Keys are generated here, but check them anyway since they arrive in URLs
+const KEY_PATTERN = /^[a-z0-9-]+\/[0-9a-f-]{36}\.[a-z0-9]+$/;
+
+const createLocalDiskStorage = (baseDir) => {
+  const resolve = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid file key "${key}"`);
+    }
+    return path.join(baseDir, key);
+  };
+
+  return {
+    save: ({ buffer, originalName, contentType, folder = 'files' }) => {
+      const extension = EXTENSIONS[contentType] || path.extname(originalName || '').toLowerCase() || '.bin';
+      const key = `${folder}/${crypto.randomUUID()}${extension}`;
+      const filePath = resolve(key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, buffer);
+      return { key, size: buffer.length, contentType, originalName: originalName || null };
+    },
+    read: (key) => fs.readFileSync(resolve(key)),
+    remove: (key) => {
+      const filePath = resolve(key);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    },
+    attachment: (key) => ({ path: resolve(key) })
+  };
+};
+
+const createStorage = () => {
+  const kind = process.env.FILE_STORAGE || 'local';
+  if (kind === 'local') {
+    return createLocalDiskStorage(process.env.UPLOADS_DIR || path.join(DATA_DIR, 'uploads'));
+  }
+  throw new Error(`Unknown FILE_STORAGE "${kind}"`);
+};
+
+module.exports = createStorage();
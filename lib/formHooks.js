@@ -0,0 +1,64 @@
+// Combining form prepare hooks
+// A form has a single `prepare` (config/forms.js). combinePrepare runs several
+// in order, stopping at the first that returns errors. Each hook also gets the
+// results so far, so later hooks can use what earlier ones found (the roster's
+// participants, for example). Records, email fields and confirmation fields
+// are merged, attachments, inline images and subject tags concatenated, and
+// afterSave hooks run in order with their response extras merged. discard
+// hooks (files stored for a request that isn't saved) all run, including when
+// a later hook returns errors.
+
+const combinePrepare = (...hooks) => async (req, form) => {
+  const results = [];
+  const discard = () => results.filter(result => result.discard).forEach(result => result.discard());
+  for (const hook of hooks) {
+    let result;
+    try {
+      result = (await hook(req, form, results)) || {};
+    } catch (error) {
+      discard();
+      throw error;
+    }
+    if (result.errors && result.errors.length > 0) {
+      discard();
+      return result;
+    }
+    results.push(result);
+  }
+
+  const combined = { record: {}, emailFields: {}, confirmationFields: {} };
+  results.forEach(result => {
+    Object.assign(combined.record, result.record);
+    Object.assign(combined.emailFields, result.emailFields);
+    Object.assign(combined.confirmationFields, result.confirmationFields);
+    if (result.attachments) {
+      combined.attachments = (combined.attachments || []).concat(result.attachments);
+    }
+    if (result.subjectTag) {
+      combined.subjectTag = [combined.subjectTag, result.subjectTag].filter(Boolean).join(' ');
+    }
+    if (result.inlineImages) {
+      combined.inlineImages = (combined.inlineImages || []).concat(result.inlineImages);
+    }
+  });
+
+  if (results.some(result => result.discard)) {
+    combined.discard = discard;
+  }
+
+  const afterSaves = results.filter(result => result.afterSave).map(result => result.afterSave);
+  if (afterSaves.length > 0) {
+    combined.afterSave = async (submission) => {
+      const extras = {};
+      for (const afterSave of afterSaves) {
+        Object.assign(extras, await afterSave(submission));
+      }
+      return extras;
+    };
+  }
+  return combined;
+};
+
+module.exports = {
+  combinePrepare
+};
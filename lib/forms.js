@@ -0,0 +1,62 @@
+// Form registry
+// Loads the declarations in config/forms.js, fills in defaults and checks
+// them once at startup so a bad declaration fails fast.
+
+const declarations = require('../config/forms');
+const { DEFAULT_LOCALE, fieldLabel, formName } = require('./i18n');
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+// Slugs that would collide with other /api routes
+const RESERVED_SLUGS = ['admin', 'forms', 'health', 'races', 'registrations', 'payments', 'coupons', 'ready', 'pacers', 'tickets', 'verify-email', 'privacy'];
+
+const forms = declarations.map(declaration => {
+  const { slug, name } = declaration;
+  if (!slug || !SLUG_PATTERN.test(slug)) {
+    throw new Error(`Form "${name}" needs a lowercase, dash-separated slug`);
+  }
+  if (RESERVED_SLUGS.includes(slug)) {
+    throw new Error(`Form slug "${slug}" is reserved`);
+  }
+  if (!name) {
+    throw new Error(`Form "${slug}" needs a display name`);
+  }
+  if (!declaration.schema || !declaration.schema.fields) {
+    throw new Error(`Form "${slug}" needs a schema with fields`);
+  }
+  return {
+    subject: null,
+    recipients: null,
+    ...declaration
+  };
+});
+
+const bySlug = new Map();
+forms.forEach(form => {
+  if (bySlug.has(form.slug)) {
+    throw new Error(`Form slug "${form.slug}" is declared twice`);
+  }
+  bySlug.set(form.slug, form);
+});
+
+const getForm = (slug) => bySlug.get(slug) || null;
+
+const listForms = () => forms;
+
+// Public description for GET /api/forms
+const describeForm = (form, locale = DEFAULT_LOCALE) => ({
+  slug: form.slug,
+  name: formName(locale, form),
+  endpoint: `/api/${form.slug}`,
+  fields: Object.keys(form.schema.fields).map(field => ({
+    name: field,
+    label: fieldLabel(locale, form, field),
+    type: form.schema.fields[field].type,
+    required: Boolean(form.schema.fields[field].required)
+  }))
+});
+
+module.exports = {
+  getForm,
+  listForms,
+  describeForm
+};
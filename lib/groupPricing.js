@@ -0,0 +1,57 @@
+// Group pricing for bulk registration requests
+// Form hook (config/forms.js) run after the roster hook: works out the
+// groupDiscounts tier and applies the optional couponCode. With a roster the
+// quote is priced per participant's race and the tier follows the rows
+// accepted from it; without one it follows numberOfParticipants and only the
+// discount rates are recorded. A coupon that takes money off is held while
+// the submission is saved and redeemed against it afterwards.
+
+const coupons = require('./coupons');
+const { quoteGroup, summarizeGroupQuote } = require('./pricing');
+
+// Long enough to cover saving the submission
+const HOLD_MS = 5 * 60 * 1000;
+
+const prepare = async (req, form, previous = []) => {
+  const roster = previous.find(result => result.participants);
+  const items = roster ? roster.participants.map(participant => participant.raceCategory) : [];
+  const participants = roster ? items.length : parseInt(req.body.numberOfParticipants, 10);
+
+  let coupon = null;
+  if (req.body.couponCode) {
+    const checked = coupons.check(req.body.couponCode, { kind: 'bulk', participants });
+    if (checked.error) {
+      return { errors: [{ field: 'couponCode', code: checked.error.code, message: checked.error.message }] };
+    }
+    coupon = checked.coupon;
+  }
+
+  const quote = quoteGroup({ participants, items, coupon });
+  if (!quote.groupDiscount && !quote.coupon) {
+    return {};
+  }
+  // Without a roster there is no amount to take off, so no use to hold
+  const redemption = coupon && quote.coupon.amount > 0
+    ? coupons.reserve(coupon, {}, { discount: quote.coupon.amount, expiresAt: new Date(Date.now() + HOLD_MS).toISOString() })
+    : null;
+
+  return {
+    record: { pricing: quote },
+    emailFields: { groupPricing: summarizeGroupQuote(quote) },
+    afterSave: (submission) => {
+      if (redemption) {
+        coupons.redeem(redemption.id, { submissionId: submission.id });
+      }
+      return { pricing: quote };
+    },
+    discard: () => {
+      if (redemption) {
+        coupons.release(redemption.id);
+      }
+    }
+  };
+};
+
+module.exports = {
+  prepare
+};
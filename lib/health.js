@@ -0,0 +1,41 @@
+// Readiness
+// GET /api/ready answers whether this instance can do its job: at least one
+// SMTP provider passes verification (cached, see lib/mailer.js), the data
+// directory is writable, and the mail queue isn't backed up beyond
+// READY_MAX_QUEUED messages. Any failed check makes the instance not ready.
+// Liveness stays on / and /api/health, which never touch the network.
+
+const mailer = require('./mailer');
+const mailQueue = require('./mailQueue');
+const { checkStorage } = require('./store');
+
+const MAX_QUEUED = parseInt(process.env.READY_MAX_QUEUED, 10) || 500;
+
+const checkSmtp = async () => {
+  if (!mailer.isConfigured()) {
+    return { ok: false, error: 'No SMTP provider configured', providers: [] };
+  }
+  const providers = await mailer.checkConnectivity();
+  const ok = providers.some(provider => provider.ok);
+  return { ok, error: ok ? null : 'No SMTP provider passed verification', providers };
+};
+
+const checkQueue = () => {
+  const stats = mailQueue.stats();
+  const ok = stats.queued <= MAX_QUEUED;
+  return { ok, error: ok ? null : `${stats.queued} messages queued (limit ${MAX_QUEUED})`, ...stats, limit: MAX_QUEUED };
+};
+
+// { ready, checks: { smtp, storage, mailQueue } }
+const readiness = async () => {
+  const checks = {
+    smtp: await checkSmtp(),
+    storage: checkStorage(),
+    mailQueue: checkQueue()
+  };
+  return { ready: Object.values(checks).every(check => check.ok), checks };
+};
+
+module.exports = {
+  readiness
+};
@@ -0,0 +1,120 @@
+// Email translations
+// Each file in locales/ (en.json, hi.json, mr.json) holds the strings for one
+// language: field labels, form names, and the notification and confirmation
+// texts. Keys missing from a locale fall back to English.
+//
+// The locale comes from the submission's `locale` field (e.g. "hi" or
+// "mr-IN"), else the Accept-Language header, else DEFAULT_LOCALE.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const FALLBACK_LOCALE = 'en';
+
+const locales = {};
+fs.readdirSync(LOCALES_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+  const code = path.basename(file, '.json');
+  try {
+    locales[code] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid locale file ${file}: ${error.message}`);
+  }
+});
+if (!locales[FALLBACK_LOCALE]) {
+  throw new Error(`Missing locales/${FALLBACK_LOCALE}.json`);
+}
+
+const SUPPORTED_LOCALES = Object.keys(locales);
+
+// "mr-IN", "MR" -> "mr"; null when not supported
+const normalizeLocale = (value) => {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(code) ? code : null;
+};
+
+const DEFAULT_LOCALE = normalizeLocale(process.env.DEFAULT_LOCALE) || FALLBACK_LOCALE;
+
+// Best supported language from an Accept-Language header ("mr-IN,mr;q=0.9,en;q=0.8")
+const fromAcceptLanguage = (header) => {
+  if (!header) return null;
+  const ranked = String(header).split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { locale: normalizeLocale(tag), q: q ? parseFloat(q[1]) : 1 };
+    })
+    .filter(entry => entry.locale && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+  return ranked.length > 0 ? ranked[0].locale : null;
+};
+
+const resolveLocale = (req) => normalizeLocale(req.body && req.body.locale)
+  || normalizeLocale(req.query && req.query.locale)
+  || fromAcceptLanguage(req.get('Accept-Language'))
+  || DEFAULT_LOCALE;
+
+// Middleware: sets req.locale and removes `locale` from the body so it is not
+// validated or stored as a form field
+const detectLocale = (req, res, next) => {
+  req.locale = resolveLocale(req);
+  if (req.body) {
+    delete req.body.locale;
+  }
+  next();
+};
+
+const lookup = (locale, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  locales[locale]
+);
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+));
+
+// Translate a dotted key; strings get {param} placeholders filled in, other
+// values (e.g. arrays of sections) are returned as they are
+const t = (locale, key, params = {}) => {
+  let value = lookup(locale, key);
+  if (value === undefined) {
+    value = lookup(FALLBACK_LOCALE, key);
+  }
+  if (value === undefined) {
+    return key;
+  }
+  return typeof value === 'string' ? interpolate(value, params) : value;
+};
+
+// Label for a field: per-form, then shared, in the locale and then in
+// English; unknown fields turn "camelCase" into "Camel Case"
+const fieldLabel = (locale, form, key) => {
+  const candidates = [`forms.${form.slug}.fields.${key}`, `fields.${key}`];
+  const found = [locale, FALLBACK_LOCALE]
+    .flatMap(code => candidates.map(candidate => lookup(code, candidate)))
+    .find(value => typeof value === 'string');
+  return found || key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()).trim();
+};
+
+const formName = (locale, form) => {
+  const name = lookup(locale, `forms.${form.slug}.name`);
+  return typeof name === 'string' ? name : form.name;
+};
+
+const raceName = (locale, category) => {
+  const name = lookup(locale, `races.${category.code}`);
+  return typeof name === 'string' ? name : category.name;
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  resolveLocale,
+  detectLocale,
+  t,
+  fieldLabel,
+  formName,
+  raceName
+};
@@ -0,0 +1,65 @@
+// iCalendar (RFC 5545) files
+// Builds a single-event VCALENDAR for email attachments. METHOD:PUBLISH adds
+// the event to the calendar without asking for an RSVP; METHOD:CANCEL with the
+// same UID and a higher SEQUENCE removes it again.
+
+const PRODUCT_ID = '-//Fitcover360//Marathon Forms//EN';
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+// 2027-01-17T00:30:00.000Z -> 20270117T003000Z
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space;
+// never split a multi-byte character
+const fold = (line) => {
+  const parts = [];
+  let current = '';
+  let limit = 75;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// event: { uid, start, end, summary, location, description, organizer:
+// { name, email }, method, status, sequence }
+const buildEvent = (event) => {
+  const {
+    uid, start, end, summary, location, description, organizer,
+    method = 'PUBLISH', status = 'CONFIRMED', sequence = 0
+  } = event;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (organizer) lines.push(`ORGANIZER;CN=${escapeText(organizer.name).replace(/"/g, '')}:mailto:${organizer.email}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildEvent
+};
@@ -0,0 +1,44 @@
+// Uploaded images on form submissions
+// prepareImages(fields) builds a form `prepare` hook (config/forms.js) that
+// stores the checked uploads (see lib/uploads.js) and embeds them in the
+// notification email as inline thumbnails with the original attached. The
+// stored files are discarded if the request ends up not being saved.
+
+const fileStorage = require('./fileStorage');
+
+const prepareImages = (fields) => async (req, form) => {
+  const files = {};
+  const attachments = [];
+  const inlineImages = [];
+
+  fields.forEach(field => {
+    const file = req.files && req.files[field] && req.files[field][0];
+    if (!file) return;
+    const stored = fileStorage.save({
+      buffer: file.buffer,
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      folder: form.slug
+    });
+    files[field] = { ...stored, width: file.image.width, height: file.image.height };
+
+    const cid = `${field}@submission`;
+    attachments.push({
+      filename: file.originalname,
+      contentType: file.mimetype,
+      cid,
+      ...fileStorage.attachment(stored.key)
+    });
+    inlineImages.push({ field, cid });
+  });
+
+  if (attachments.length === 0) {
+    return {};
+  }
+  const discard = () => Object.values(files).forEach(file => fileStorage.remove(file.key));
+  return { record: { files }, attachments, inlineImages, discard };
+};
+
+module.exports = {
+  prepareImages
+};
@@ -0,0 +1,136 @@
+// Structured logging
+// One JSON object per line on stdout: time, level, msg, the current request's
+// requestId and any fields passed in. Levels below LOG_LEVEL (debug, info,
+// warn, error; default info) are dropped. LOG_FORMAT=pretty prints a short
+// human-readable line instead, for local development.
+//
+// Personal data is redacted before anything is written: values of fields
+// named like email, phone, mobile or contact are masked, and email addresses
+// and phone numbers inside other strings (messages, errors) are masked too.
+//
+//   logger.info('Form submission saved', { form: 'volunteer', submissionId });
+//   logger.error('Export failed', { error });   // errors keep name, message, code, stack
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+const pretty = process.env.LOG_FORMAT === 'pretty';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Incoming ids are reused only when they look like ids
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+const SENSITIVE_KEY_PATTERN = /email|phone|mobile|contact|^(to|cc|bcc|from|replyTo)$/i;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+// 10+ digit numbers, optionally with +country code, spaces or dashes; not
+// runs of digits inside ids such as UUIDs
+const PHONE_PATTERN = /(?<![\w-])\+?\d[\d\s-]{8,}\d(?![\w-])/g;
+const MAX_DEPTH = 5;
+
+const context = new AsyncLocalStorage();
+
+const maskEmail = (value) => value.replace(EMAIL_PATTERN, (match, first, domain) => `${first}***@${domain}`);
+const maskPhone = (value) => value.replace(PHONE_PATTERN, (match) => {
+  const digits = match.replace(/\D/g, '');
+  return digits.length >= 10 ? `***${digits.slice(-2)}` : match;
+});
+const redactString = (value) => maskPhone(maskEmail(value));
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactString(String(error.message)),
+  ...(error.code ? { code: error.code } : {}),
+  ...(error.stack ? { stack: redactString(error.stack) } : {})
+});
+
+const maskValue = (value) => {
+  if (value === null || value === undefined || value === '') return value;
+  if (Array.isArray(value)) return value.map(maskValue);
+  if (typeof value === 'object') return '[redacted]';
+  const text = String(value);
+  return text.includes('@') ? maskEmail(text) : `***${text.replace(/\D/g, '').slice(-2)}`;
+};
+
+// Copy of value with personal data masked
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map(entry => redact(entry, depth + 1));
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    copy[key] = SENSITIVE_KEY_PATTERN.test(key) ? maskValue(value[key]) : redact(value[key], depth + 1);
+  });
+  return copy;
+};
+
+const write = (level, msg, { requestId: explicitId, ...fields } = {}) => {
+  if (LEVELS[level] < minLevel) return;
+  const store = context.getStore();
+  const id = explicitId || (store && store.requestId);
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...(id ? { requestId: id } : {}),
+    ...redact(fields)
+  };
+  if (pretty) {
+    const { time, level: entryLevel, msg: text, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    process.stdout.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${text}${extra}\n`);
+    return;
+  }
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+};
+
+const requestId = () => {
+  const store = context.getStore();
+  return store ? store.requestId : null;
+};
+
+// Run fn with the given requestId in the log context, e.g. to tie a queued
+// job's log lines back to the request that queued it
+const runWithRequestId = (id, fn) => context.run({ requestId: id || null }, fn);
+
+// Express middleware: reuse or assign a request id, echo it in X-Request-Id
+// and log one line per completed request
+const requestLogger = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = id;
+  res.set(REQUEST_ID_HEADER, id);
+  const startedAt = process.hrtime.bigint();
+
+  context.run({ requestId: id }, () => {
+    // 'finish' fires outside this context, so the id is passed explicitly
+    res.on('finish', () => {
+      const status = res.statusCode;
+      write(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'Request completed', {
+        requestId: id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        ip: req.ip
+      });
+    });
+    next();
+  });
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  redact,
+  requestId,
+  runWithRequestId,
+  requestLogger
+};
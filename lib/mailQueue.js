@@ -0,0 +1,251 @@
+// Outbound mail queue
+// Form handlers enqueue messages here instead of calling sendMail directly.
+// A background worker sends due messages, retries failures with exponential
+// backoff and moves messages that keep failing to the dead-letter list.
+// The queue lives in the local store so pending mail survives restarts.
+// Held messages wait for release() (e.g. until the submitter confirms their
+// email address) and are never sent on their own.
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const submissions = require('./submissions');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.MAIL_RETRY_BASE_MS, 10) || 30 * 1000;
+const RETRY_MAX_MS = parseInt(process.env.MAIL_RETRY_MAX_MS, 10) || 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.MAIL_QUEUE_POLL_MS, 10) || 5 * 1000;
+
+const store = createStore('mail-queue');
+
+let sendFn = null;
+let timer = null;
+let processing = false;
+
+// 30s, 60s, 120s, ... capped, with up to 10% jitter so retries don't line up
+const backoffDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+// kind is informational ('notification', 'confirmation', ...); only messages
+// carrying a submissionId update that submission's delivery status. hold
+// keeps the message back until release(heldFor); heldFor defaults to the
+// submissionId and lets mail that doesn't track delivery (the confirmation)
+// wait on a submission too.
+const enqueue = (mailOptions, { submissionId = null, kind = 'notification', hold = false, heldFor = submissionId } = {}) => {
+  const now = new Date().toISOString();
+  const message = store.insert({
+    id: crypto.randomUUID(),
+    kind,
+    submissionId,
+    heldFor: hold ? heldFor : null,
+    status: hold ? 'held' : 'queued',
+    attempts: 0,
+    lastError: null,
+    createdAt: now,
+    nextAttemptAt: now,
+    // Delivery log lines carry the id of the request that queued the message
+    requestId: logger.requestId(),
+    mailOptions
+  });
+  // Try right away instead of waiting for the next poll
+  if (!hold) {
+    setImmediate(processQueue);
+  }
+  return message;
+};
+
+const heldFor = (key) => store.all().filter(message => message.status === 'held' && message.heldFor === key);
+
+// Queue the messages held for a key (submission id); returns how many
+const release = (key) => {
+  const held = heldFor(key);
+  const now = new Date().toISOString();
+  held.forEach(message => store.update(message.id, { status: 'queued', heldFor: null, nextAttemptAt: now }));
+  if (held.length > 0) {
+    setImmediate(processQueue);
+  }
+  return held.length;
+};
+
+// Drop the messages held for a key unsent; returns how many
+const discardHeld = (key) => {
+  const held = heldFor(key);
+  held.forEach(message => store.remove(message.id));
+  return held.length;
+};
+
+// Data privacy (lib/privacy.js): drop every unsent message about a
+// submission, held, queued or dead. Returns how many.
+const forgetSubmission = (submissionId) => {
+  const found = store.all().filter(message => message.submissionId === submissionId || message.heldFor === submissionId);
+  found.forEach(message => store.remove(message.id));
+  return found.length;
+};
+
+// Bare, lower-cased addresses of a nodemailer recipient list: 'a@x.com',
+// '"Name" <a@x.com>, b@x.com', { name, address } or an array of those
+const recipientAddresses = (list) => [].concat(list || [])
+  .flatMap(entry => (entry && typeof entry === 'object' ? [entry.address] : String(entry).split(',')))
+  .map(part => {
+    const bracketed = /<([^>]*)>/.exec(String(part || ''));
+    return (bracketed ? bracketed[1] : String(part || '')).trim().toLowerCase();
+  })
+  .filter(Boolean);
+
+// Data privacy (lib/privacy.js): drop every unsent message to an address,
+// whether in to, cc, bcc or replyTo; confirmations and replies carry no
+// submissionId. Returns how many.
+const forgetRecipient = (email) => {
+  const address = String(email).trim().toLowerCase();
+  const found = store.all().filter(message => ['to', 'cc', 'bcc', 'replyTo']
+    .some(field => recipientAddresses(message.mailOptions[field]).includes(address)));
+  found.forEach(message => store.remove(message.id));
+  return found.length;
+};
+
+const attemptDelivery = async (message) => {
+  try {
+    const info = await sendFn(message.mailOptions);
+    store.remove(message.id);
+    if (message.submissionId) {
+      submissions.markDelivered(message.submissionId);
+    }
+    logger.info('Mail sent', {
+      mailId: message.id,
+      kind: message.kind,
+      submissionId: message.submissionId,
+      attempt: message.attempts + 1,
+      provider: info && info.provider
+    });
+  } catch (error) {
+    const attempts = message.attempts + 1;
+    const deadLetter = attempts >= MAX_ATTEMPTS;
+    store.update(message.id, {
+      attempts,
+      lastError: error.message,
+      lastAttemptAt: new Date().toISOString(),
+      status: deadLetter ? 'dead' : 'queued',
+      nextAttemptAt: deadLetter ? null : new Date(Date.now() + backoffDelay(attempts)).toISOString()
+    });
+    if (message.submissionId) {
+      submissions.markDeliveryFailed(message.submissionId, error.message, { deadLetter });
+    }
+    const fields = { mailId: message.id, kind: message.kind, submissionId: message.submissionId, attempt: attempts, error: error.message };
+    if (deadLetter) {
+      logger.error('Mail moved to dead-letter list', fields);
+    } else {
+      logger.warn('Mail failed, will retry', { ...fields, maxAttempts: MAX_ATTEMPTS });
+    }
+  }
+};
+
+// Send every due message one at a time; overlapping runs are skipped
+const processQueue = async () => {
+  if (processing || !sendFn) return;
+  processing = true;
+  try {
+    const now = Date.now();
+    const due = store.all()
+      .filter(message => message.status === 'queued' && new Date(message.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt));
+    for (const message of due) {
+      await logger.runWithRequestId(message.requestId, () => attemptDelivery(message));
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+const start = (send) => {
+  sendFn = send;
+  if (!timer) {
+    timer = setInterval(processQueue, POLL_INTERVAL_MS);
+    // Don't keep the process alive just for the worker
+    timer.unref();
+  }
+  const pending = store.all().filter(message => message.status === 'queued').length;
+  if (pending > 0) {
+    logger.info('Resuming mail queue', { pending });
+  }
+  setImmediate(processQueue);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+// Summary without message bodies, for the admin endpoints
+const describe = (message) => ({
+  id: message.id,
+  kind: message.kind || 'notification',
+  submissionId: message.submissionId,
+  status: message.status,
+  attempts: message.attempts,
+  lastError: message.lastError,
+  createdAt: message.createdAt,
+  lastAttemptAt: message.lastAttemptAt || null,
+  nextAttemptAt: message.nextAttemptAt,
+  to: message.mailOptions.to,
+  subject: message.mailOptions.subject
+});
+
+const stats = () => {
+  const messages = store.all();
+  return {
+    queued: messages.filter(message => message.status === 'queued').length,
+    held: messages.filter(message => message.status === 'held').length,
+    dead: messages.filter(message => message.status === 'dead').length,
+    maxAttempts: MAX_ATTEMPTS
+  };
+};
+
+metrics.gauge('mail_queue_messages', 'Messages in the mail queue by status (queued, held or dead)', () => {
+  const { queued, held, dead } = stats();
+  return [
+    { labels: { status: 'queued' }, value: queued },
+    { labels: { status: 'held' }, value: held },
+    { labels: { status: 'dead' }, value: dead }
+  ];
+});
+
+const listDeadLetters = () => store.all()
+  .filter(message => message.status === 'dead')
+  .map(describe);
+
+// Put a dead-lettered message back on the queue with a fresh attempt budget
+const replay = (id) => {
+  const message = store.get(id);
+  if (!message || message.status !== 'dead') {
+    return null;
+  }
+  const updated = store.update(id, {
+    status: 'queued',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString()
+  });
+  if (message.submissionId) {
+    submissions.markDeliveryRequeued(message.submissionId);
+  }
+  setImmediate(processQueue);
+  return describe(updated);
+};
+
+module.exports = {
+  enqueue,
+  release,
+  discardHeld,
+  forgetSubmission,
+  forgetRecipient,
+  start,
+  stop,
+  stats,
+  listDeadLetters,
+  replay,
+  processQueue
+};
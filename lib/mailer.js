@@ -0,0 +1,258 @@
+// SMTP providers with failover
+// Every configured provider gets its own transporter. A send tries them in
+// priority order (Hostinger, SendGrid, Zoho, Gmail) and moves on to the next
+// one when a provider rejects the message. Each provider has a small circuit
+// breaker: after repeated failures it is skipped for a cool-down period.
+// Connectivity checks (transporter.verify) are cached per provider for
+// SMTP_VERIFY_TTL_MS so the readiness probe doesn't open a connection each time.
+
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.SMTP_CIRCUIT_THRESHOLD, 10) || 3;
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.SMTP_CIRCUIT_COOLDOWN_MS, 10) || 60 * 1000;
+// Window for the "recent failures" count reported in /api/health
+const RECENT_WINDOW_MS = 15 * 60 * 1000;
+const VERIFY_TTL_MS = parseInt(process.env.SMTP_VERIFY_TTL_MS, 10) || 5 * 60 * 1000;
+const VERIFY_TIMEOUT_MS = parseInt(process.env.SMTP_VERIFY_TIMEOUT_MS, 10) || 10 * 1000;
+
+metrics.define('mail_send_total', { help: 'Messages handed to each SMTP provider, by result (success or failure)' });
+
+const providerConfigs = [
+  {
+    // Hostinger Mail (PRIMARY - Required for production/Render)
+    name: 'hostinger',
+    label: 'Hostinger Mail',
+    isConfigured: () => process.env.HOSTINGER_USER && process.env.HOSTINGER_PASSWORD,
+    fromEmail: () => process.env.HOSTINGER_USER,
+    create: () => nodemailer.createTransport({
+      host: 'smtp.hostinger.com',
+      port: 587,
+      secure: false, // true for 465, false for other ports
+      auth: {
+        user: process.env.HOSTINGER_USER,
+        pass: process.env.HOSTINGER_PASSWORD
+      },
+      tls: {
+        rejectUnauthorized: false
+      }
+    })
+  },
+  {
+    name: 'sendgrid',
+    label: 'SendGrid',
+    isConfigured: () => process.env.SENDGRID_API_KEY,
+    fromEmail: () => process.env.SENDGRID_FROM_EMAIL,
+    create: () => nodemailer.createTransport({
+      host: 'smtp.sendgrid.net',
+      port: 587,
+      secure: false,
+      auth: {
+        user: 'apikey',
+        pass: process.env.SENDGRID_API_KEY
+      }
+    })
+  },
+  {
+    name: 'zoho',
+    label: 'Zoho Mail',
+    isConfigured: () => process.env.ZOHO_USER && process.env.ZOHO_PASSWORD,
+    fromEmail: () => process.env.ZOHO_USER,
+    create: () => nodemailer.createTransport({
+      host: 'smtp.zoho.com',
+      port: 587,
+      secure: false, // true for 465, false for other ports
+      auth: {
+        user: process.env.ZOHO_USER,
+        pass: process.env.ZOHO_PASSWORD
+      },
+      tls: {
+        rejectUnauthorized: false
+      }
+    })
+  },
+  {
+    // Gmail SMTP (optional, not recommended for Render)
+    name: 'gmail',
+    label: 'Gmail',
+    isConfigured: () => process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD,
+    fromEmail: () => process.env.GMAIL_USER,
+    create: () => nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.GMAIL_USER,
+        pass: process.env.GMAIL_APP_PASSWORD
+      }
+    })
+  }
+];
+
+const providers = providerConfigs
+  .filter(config => config.isConfigured())
+  .map(config => ({
+    name: config.name,
+    label: config.label,
+    fromEmail: config.fromEmail(),
+    transporter: config.create(),
+    consecutiveFailures: 0,
+    failureTimes: [],
+    circuitOpenUntil: 0,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    // Last transporter.verify() result: { ok, error, at }, and the check in flight
+    verification: null,
+    verifying: null
+  }));
+
+const isConfigured = () => providers.length > 0;
+
+// Sender address of the highest-priority provider, used in the From header
+const defaultFromEmail = () => (providers[0] && providers[0].fromEmail) || 'shubham@fitcover360.com';
+
+const circuitState = (provider) => {
+  if (provider.circuitOpenUntil === 0) return 'closed';
+  return Date.now() < provider.circuitOpenUntil ? 'open' : 'half-open';
+};
+
+const recordSuccess = (provider) => {
+  provider.consecutiveFailures = 0;
+  provider.circuitOpenUntil = 0;
+  provider.lastSuccessAt = new Date().toISOString();
+};
+
+const recordFailure = (provider, error) => {
+  const now = Date.now();
+  provider.consecutiveFailures++;
+  provider.failureTimes = provider.failureTimes.filter(time => now - time < RECENT_WINDOW_MS).concat(now);
+  provider.lastFailureAt = new Date(now).toISOString();
+  provider.lastError = error.message;
+  // A failed half-open probe re-opens the circuit straight away
+  if (provider.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD || circuitState(provider) === 'half-open') {
+    provider.circuitOpenUntil = now + CIRCUIT_COOLDOWN_MS;
+    logger.error('SMTP circuit opened', {
+      provider: provider.name,
+      cooldownSeconds: CIRCUIT_COOLDOWN_MS / 1000,
+      consecutiveFailures: provider.consecutiveFailures
+    });
+  }
+};
+
+// Providers must send from their own account, so swap the address but keep the display name
+const withSender = (mailOptions, provider) => {
+  if (!provider.fromEmail || typeof mailOptions.from !== 'string') {
+    return mailOptions;
+  }
+  const match = mailOptions.from.match(/^\s*"?([^"<]*)"?\s*<[^>]+>\s*$/);
+  const name = match ? match[1].trim() : '';
+  return { ...mailOptions, from: name ? { name, address: provider.fromEmail } : provider.fromEmail };
+};
+
+// Try each provider in order until one accepts the message.
+// Providers with an open circuit are skipped unless every circuit is open.
+const sendMail = async (mailOptions) => {
+  if (!isConfigured()) {
+    throw new Error('SMTP service not configured');
+  }
+
+  const available = providers.filter(provider => circuitState(provider) !== 'open');
+  const candidates = available.length > 0 ? available : providers;
+  const errors = [];
+
+  for (const provider of candidates) {
+    try {
+      const info = await provider.transporter.sendMail(withSender(mailOptions, provider));
+      recordSuccess(provider);
+      metrics.increment('mail_send_total', { provider: provider.name, result: 'success' });
+      if (provider !== providers[0]) {
+        logger.warn('Message delivered via fallback provider', { provider: provider.name });
+      }
+      return { ...info, provider: provider.name };
+    } catch (error) {
+      recordFailure(provider, error);
+      metrics.increment('mail_send_total', { provider: provider.name, result: 'failure' });
+      logger.warn('SMTP provider failed to send', { provider: provider.name, error: error.message });
+      errors.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All SMTP providers failed (${errors.join('; ')})`);
+};
+
+// Connect and authenticate with one provider, at most once per VERIFY_TTL_MS;
+// concurrent callers share the check in flight
+const verifyProvider = (provider, { force = false } = {}) => {
+  const fresh = provider.verification && Date.now() - provider.verification.at < VERIFY_TTL_MS;
+  if (fresh && !force) {
+    return Promise.resolve(provider.verification);
+  }
+  if (!provider.verifying) {
+    let timeout;
+    const timedOut = new Promise((resolve, reject) => {
+      timeout = setTimeout(() => reject(new Error(`Verification timed out after ${VERIFY_TIMEOUT_MS}ms`)), VERIFY_TIMEOUT_MS);
+    });
+    provider.verifying = Promise.race([provider.transporter.verify(), timedOut])
+      .then(() => ({ ok: true, error: null }), error => ({ ok: false, error: error.message }))
+      .then(result => {
+        clearTimeout(timeout);
+        const previous = provider.verification;
+        provider.verification = { ...result, at: Date.now() };
+        provider.verifying = null;
+        // Log changes only, not every refresh
+        if (!previous || previous.ok !== result.ok) {
+          if (result.ok) {
+            logger.info('SMTP server ready', { provider: provider.name });
+          } else {
+            logger.error('SMTP verification failed', { provider: provider.name, error: result.error });
+          }
+        }
+        return provider.verification;
+      });
+  }
+  return provider.verifying;
+};
+
+// Cached verification of every provider: [{ name, ok, error, checkedAt }]
+const checkConnectivity = async () => Promise.all(providers.map(async provider => {
+  const result = await verifyProvider(provider);
+  return { name: provider.name, ok: result.ok, error: result.error, checkedAt: new Date(result.at).toISOString() };
+}));
+
+// Verify every provider asynchronously (non-blocking for Render startup)
+const verifyAll = () => {
+  if (!isConfigured()) {
+    // The server keeps running; queued mail is retried once SMTP is configured
+    logger.error('No SMTP service configured; set HOSTINGER_USER and HOSTINGER_PASSWORD in .env');
+    return;
+  }
+  providers.forEach(provider => {
+    verifyProvider(provider, { force: true });
+  });
+};
+
+const health = () => providers.map((provider, index) => {
+  const now = Date.now();
+  return {
+    name: provider.name,
+    label: provider.label,
+    priority: index + 1,
+    circuit: circuitState(provider),
+    consecutiveFailures: provider.consecutiveFailures,
+    recentFailures: provider.failureTimes.filter(time => now - time < RECENT_WINDOW_MS).length,
+    lastSuccessAt: provider.lastSuccessAt,
+    lastFailureAt: provider.lastFailureAt,
+    lastError: provider.lastError,
+    verified: provider.verification ? provider.verification.ok : null,
+    verifiedAt: provider.verification ? new Date(provider.verification.at).toISOString() : null
+  };
+});
+
+module.exports = {
+  isConfigured,
+  defaultFromEmail,
+  sendMail,
+  verifyAll,
+  checkConnectivity,
+  health
+};
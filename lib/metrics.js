@@ -0,0 +1,145 @@
+// In-process metrics
+// Counters keyed by name and labels, e.g.
+// increment('form_rejections_total', { form: 'contact', reason: 'rate_limit_ip' }),
+// histograms via observe(name, labels, value), and gauges read at scrape time
+// from a collect() callback. GET /metrics serves them all in the Prometheus
+// text format (toPrometheus); the admin API returns snapshot() as JSON.
+
+const counters = new Map();
+const histograms = new Map();
+const gauges = new Map();
+// name -> { type, help, buckets }
+const definitions = new Map();
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const labelKey = (labels) => JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+
+// Optional; gives a metric its HELP line (and a histogram its buckets)
+const define = (name, { type = 'counter', help = '', buckets = DEFAULT_BUCKETS } = {}) => {
+  definitions.set(name, { type, help, buckets: buckets.slice().sort((a, b) => a - b) });
+};
+
+const increment = (name, labels = {}, amount = 1) => {
+  if (!counters.has(name)) {
+    counters.set(name, new Map());
+  }
+  const series = counters.get(name);
+  const key = labelKey(labels);
+  const current = series.get(key);
+  series.set(key, { labels, value: (current ? current.value : 0) + amount });
+};
+
+const observe = (name, labels, value) => {
+  if (!histograms.has(name)) {
+    histograms.set(name, new Map());
+  }
+  const { buckets } = definitions.get(name) || { buckets: DEFAULT_BUCKETS };
+  const series = histograms.get(name);
+  const key = labelKey(labels);
+  if (!series.has(key)) {
+    series.set(key, { labels, buckets: buckets.map(() => 0), sum: 0, count: 0 });
+  }
+  const entry = series.get(key);
+  buckets.forEach((bound, index) => {
+    if (value <= bound) entry.buckets[index]++;
+  });
+  entry.sum += value;
+  entry.count++;
+};
+
+// collect() returns [{ labels, value }] and is called on every scrape
+const gauge = (name, help, collect) => {
+  define(name, { type: 'gauge', help });
+  gauges.set(name, collect);
+};
+
+// { name: [{ labels, value }] } for counters and gauges,
+// { name: [{ labels, count, sum }] } for histograms
+const snapshot = () => {
+  const result = {};
+  counters.forEach((series, name) => {
+    result[name] = Array.from(series.values()).map(entry => ({ labels: { ...entry.labels }, value: entry.value }));
+  });
+  histograms.forEach((series, name) => {
+    result[name] = Array.from(series.values()).map(entry => ({ labels: { ...entry.labels }, count: entry.count, sum: entry.sum }));
+  });
+  gauges.forEach((collect, name) => {
+    result[name] = collect();
+  });
+  return result;
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return `{${keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+};
+
+const header = (lines, name, type) => {
+  const definition = definitions.get(name);
+  if (definition && definition.help) {
+    lines.push(`# HELP ${name} ${definition.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+  }
+  lines.push(`# TYPE ${name} ${type}`);
+};
+
+// Prometheus text exposition format, version 0.0.4
+const toPrometheus = () => {
+  const lines = [];
+  counters.forEach((series, name) => {
+    header(lines, name, 'counter');
+    series.forEach(entry => lines.push(`${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`));
+  });
+  histograms.forEach((series, name) => {
+    header(lines, name, 'histogram');
+    const { buckets } = definitions.get(name) || { buckets: DEFAULT_BUCKETS };
+    series.forEach(entry => {
+      buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.buckets[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    });
+  });
+  gauges.forEach((collect, name) => {
+    header(lines, name, 'gauge');
+    collect().forEach(entry => lines.push(`${name}${formatLabels(entry.labels || {})} ${formatValue(entry.value)}`));
+  });
+  return lines.join('\n') + '\n';
+};
+
+define('http_request_duration_seconds', { type: 'histogram', help: 'HTTP request latency by method, route and status' });
+
+// Express middleware timing each request. Labelled by the matched route
+// pattern (not the raw URL) so ids don't create a series each.
+const requestMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    observe('http_request_duration_seconds', {
+      method: req.method,
+      route,
+      status: res.statusCode
+    }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  next();
+};
+
+module.exports = {
+  define,
+  increment,
+  observe,
+  gauge,
+  snapshot,
+  toPrometheus,
+  requestMetrics
+};
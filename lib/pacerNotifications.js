@@ -0,0 +1,66 @@
+// Pacer application emails
+// The applicant hears about every review decision: shortlisted, accepted,
+// waitlisted or rejected. Texts are in locales/ (pacer.<status>.*), the markup
+// in templates/pacer/ with per-status overrides (templates/pacer/accepted.html.hbs).
+
+const { logoBase64 } = require('./emails');
+const emailTemplates = require('./templates');
+const { DEFAULT_LOCALE, t, raceName } = require('./i18n');
+const mailer = require('./mailer');
+const mailQueue = require('./mailQueue');
+const { getGroup } = require('./pacerReviews');
+const { getCategory } = require('./pricing');
+const { event } = require('../config/races');
+
+const paceGroupName = (code, locale) => {
+  const group = getGroup(code);
+  if (!group) return null;
+  return t(locale, 'pacer.paceGroupName', { race: raceName(locale, getCategory(group.race)), time: group.targetTime });
+};
+
+// { subject, html, text } for a result of pacerReviews.transition()
+const renderPacerEmail = ({ submission, review }) => {
+  const locale = submission.locale || DEFAULT_LOCALE;
+  const tr = (key, params) => t(locale, `pacer.${review.status}.${key}`, params);
+  const { name, rolePreference } = submission.payload;
+  const paceGroup = paceGroupName(review.paceGroup, locale);
+  return {
+    subject: tr('subject'),
+    ...emailTemplates.render('pacer', {
+      locale,
+      heading: tr('heading'),
+      badge: event.name,
+      paragraphs: [
+        name ? t(locale, 'confirmation.greeting', { name }) : t(locale, 'confirmation.greetingAnonymous'),
+        tr('intro', { paceGroup: paceGroup || '' })
+      ],
+      details: [
+        { label: t(locale, 'pacer.role'), value: rolePreference },
+        { label: t(locale, 'pacer.paceGroup'), value: paceGroup }
+      ].filter(detail => detail.value),
+      sections: review.status === 'accepted' ? tr('sections') : [],
+      logo: logoBase64(),
+      footerNote: t(locale, 'confirmation.footerNote')
+    }, { slug: review.status })
+  };
+};
+
+// Queue the decision email; returns the queued message or null
+const queuePacerEmail = (result) => {
+  if (!result.submission.payload.email) {
+    return null;
+  }
+  const content = renderPacerEmail(result);
+  return mailQueue.enqueue({
+    from: `"Fitcover360 Marathon" <${mailer.defaultFromEmail()}>`,
+    to: result.submission.payload.email,
+    subject: content.subject,
+    text: content.text,
+    html: content.html
+  }, { kind: 'pacer' });
+};
+
+module.exports = {
+  renderPacerEmail,
+  queuePacerEmail
+};
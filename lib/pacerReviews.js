@@ -0,0 +1,229 @@
+// Pacer application reviews
+// Applications are the pacer form submissions. Each one moves through
+//
+//   submitted -> shortlisted | waitlisted | accepted | rejected
+//   shortlisted -> accepted | waitlisted | rejected
+//   waitlisted -> shortlisted | accepted | rejected
+//   accepted -> waitlisted | rejected      (e.g. a pacer drops out)
+//   rejected -> shortlisted                (reconsidered)
+//
+// Accepting needs a pace group (config/pacers.js) with room under its quota.
+// Every transition is kept in the review's history with the reviewer, their
+// note and the email sent; free-standing reviewer notes are kept alongside.
+// Applications nobody has touched yet are 'submitted' and have no record here.
+
+const { createStore } = require('./store');
+const submissions = require('./submissions');
+const { groups } = require('../config/pacers');
+
+const store = createStore('pacer-reviews');
+
+const PACER_FORM = 'pacer';
+const STATUSES = ['submitted', 'shortlisted', 'accepted', 'rejected', 'waitlisted'];
+const TRANSITIONS = {
+  submitted: ['shortlisted', 'waitlisted', 'accepted', 'rejected'],
+  shortlisted: ['accepted', 'waitlisted', 'rejected'],
+  waitlisted: ['shortlisted', 'accepted', 'rejected'],
+  accepted: ['waitlisted', 'rejected'],
+  rejected: ['shortlisted']
+};
+const GROUP_CODES = groups.map(group => group.code);
+
+const failure = (status, code, message) => ({ error: { status, code, message } });
+
+const getGroup = (code) => groups.find(group => group.code === code) || null;
+
+// The review for a pacer submission, or the initial state when there is none
+const reviewOf = (submission) => store.get(submission.id) || {
+  id: submission.id,
+  status: 'submitted',
+  // The applicant's preference, if they picked one on the form
+  paceGroup: GROUP_CODES.includes(submission.payload.paceGroup) ? submission.payload.paceGroup : null,
+  notes: [],
+  history: [],
+  updatedAt: null
+};
+
+const pacerSubmission = (id) => {
+  const submission = submissions.get(id);
+  return submission && submission.formSlug === PACER_FORM ? submission : null;
+};
+
+const allApplications = () => submissions.filter({ form: PACER_FORM })
+  .map(submission => ({ submission, review: reviewOf(submission) }));
+
+const acceptedIn = (code, exceptId) => allApplications()
+  .filter(({ submission, review }) => review.status === 'accepted' && review.paceGroup === code && submission.id !== exceptId)
+  .length;
+
+const save = (review) => (store.get(review.id) ? store.update(review.id, review) : store.insert(review));
+
+// Move an application to status. options: { paceGroup, note, by }.
+// Returns { submission, review, previous } or { error: { status, code, message } }.
+const transition = (id, status, { paceGroup, note = null, by = 'admin' } = {}) => {
+  const submission = pacerSubmission(id);
+  if (!submission) {
+    return failure(404, 'application_not_found', 'Pacer application not found');
+  }
+  // Moves email the applicant, who must be there to receive it
+  if (!submissions.isReachable(submission)) {
+    return failure(409, 'applicant_unreachable', 'The applicant is anonymized or has not confirmed their email address');
+  }
+  if (!STATUSES.includes(status)) {
+    return failure(400, 'invalid_status', `Status must be one of: ${STATUSES.join(', ')}`);
+  }
+  if (paceGroup !== undefined && paceGroup !== null && !GROUP_CODES.includes(paceGroup)) {
+    return failure(400, 'unknown_pace_group', `Pace group must be one of: ${GROUP_CODES.join(', ')}`);
+  }
+  const current = reviewOf(submission);
+  if (!TRANSITIONS[current.status].includes(status)) {
+    return failure(409, 'invalid_transition', `Cannot move from ${current.status} to ${status}`);
+  }
+
+  const group = paceGroup !== undefined ? paceGroup : current.paceGroup;
+  if (status === 'accepted') {
+    if (!group) {
+      return failure(400, 'pace_group_required', 'Choose a pace group to accept this pacer');
+    }
+    const { quota } = getGroup(group);
+    if (acceptedIn(group, id) >= quota) {
+      return failure(409, 'quota_full', `Pace group ${group} already has its ${quota} pacer(s); waitlist this applicant instead`);
+    }
+  }
+
+  const now = new Date().toISOString();
+  const review = save({
+    ...current,
+    status,
+    paceGroup: group,
+    updatedAt: now,
+    history: current.history.concat({
+      from: current.status,
+      to: status,
+      paceGroup: group,
+      note: note ? String(note).slice(0, 2000) : null,
+      by,
+      at: now,
+      mailId: null
+    })
+  });
+  return { submission, review, previous: current.status };
+};
+
+const addNote = (id, note, { by = 'admin' } = {}) => {
+  const submission = pacerSubmission(id);
+  if (!submission) {
+    return failure(404, 'application_not_found', 'Pacer application not found');
+  }
+  const current = reviewOf(submission);
+  const now = new Date().toISOString();
+  const review = save({
+    ...current,
+    updatedAt: now,
+    notes: current.notes.concat({ note: String(note).slice(0, 2000), by, at: now })
+  });
+  return { submission, review };
+};
+
+// Link the applicant email to the latest history entry
+const recordNotification = (id, mailId) => store.update(id, record => {
+  const history = record.history.slice();
+  history[history.length - 1] = { ...history[history.length - 1], mailId };
+  return { ...record, history };
+});
+
+const describe = ({ submission, review }) => ({
+  submissionId: submission.id,
+  name: submission.payload.name,
+  email: submission.payload.email,
+  rolePreference: submission.payload.rolePreference || null,
+  experience: submission.payload.experience || null,
+  hasPhoto: Boolean(submission.files && submission.files.profileImage),
+  submittedAt: submission.createdAt,
+  review
+});
+
+// Applications, newest first: { status, paceGroup }
+const list = ({ status, paceGroup } = {}) => allApplications()
+  .filter(({ review }) => !status || review.status === status)
+  .filter(({ review }) => !paceGroup || review.paceGroup === paceGroup)
+  .map(describe);
+
+const get = (id) => {
+  const submission = pacerSubmission(id);
+  return submission ? describe({ submission, review: reviewOf(submission) }) : null;
+};
+
+// Quota use per pace group
+const groupSummary = () => {
+  const applications = allApplications();
+  return groups.map(group => {
+    const inGroup = applications.filter(({ review }) => review.paceGroup === group.code);
+    const count = (status) => inGroup.filter(({ review }) => review.status === status).length;
+    return {
+      ...group,
+      accepted: count('accepted'),
+      shortlisted: count('shortlisted'),
+      waitlisted: count('waitlisted'),
+      open: Math.max(group.quota - count('accepted'), 0)
+    };
+  });
+};
+
+// Accepted pacers by pace group, for the public website. Only the name and
+// whether there is a photo are exposed; anonymized applications have neither.
+const lineup = () => {
+  const accepted = allApplications().filter(({ submission, review }) => review.status === 'accepted' && !submission.anonymizedAt);
+  return groups.map(group => ({
+    code: group.code,
+    race: group.race,
+    targetTime: group.targetTime,
+    pacers: accepted
+      .filter(({ review }) => review.paceGroup === group.code)
+      .map(({ submission }) => ({
+        id: submission.id,
+        name: submission.payload.name,
+        hasPhoto: Boolean(submission.files && submission.files.profileImage)
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }));
+};
+
+// The stored profile photo of an accepted pacer, or null
+const publicPhoto = (id) => {
+  const submission = pacerSubmission(id);
+  if (!submission || submission.anonymizedAt || reviewOf(submission).status !== 'accepted') return null;
+  return (submission.files && submission.files.profileImage) || null;
+};
+
+// Data privacy (lib/privacy.js): delete the submission's review, or keep it
+// with the notes cleared. Returns whether there was one.
+const forgetSubmission = (submissionId, { anonymize = false } = {}) => {
+  const existing = store.get(submissionId);
+  if (!existing) return false;
+  if (anonymize) {
+    store.update(submissionId, {
+      notes: existing.notes.map(entry => ({ ...entry, note: null })),
+      history: existing.history.map(entry => ({ ...entry, note: null }))
+    });
+  } else {
+    store.remove(submissionId);
+  }
+  return true;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  GROUP_CODES,
+  getGroup,
+  transition,
+  addNote,
+  recordNotification,
+  list,
+  get,
+  groupSummary,
+  lineup,
+  publicPhoto,
+  forgetSubmission
+};
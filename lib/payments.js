@@ -0,0 +1,176 @@
+// Payment gateway
+// PAYMENT_GATEWAY selects the adapter; without one, paid registrations fail
+// with payment_unavailable:
+//   razorpay  Razorpay Orders API, needs RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET
+//   mock      local stand-in for development and tests; orders are paid with
+//             POST /api/payments/mock/:orderId/pay. Needs MOCK_WEBHOOK_SECRET
+//             and is refused when NODE_ENV=production.
+//
+// Both speak the Razorpay webhook format: the raw body signed with HMAC-SHA256
+// in the X-Razorpay-Signature header (RAZORPAY_WEBHOOK_SECRET, or
+// MOCK_WEBHOOK_SECRET for the mock). An adapter has:
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency }
+//   checkout(order, prefill) -> what the frontend needs to take the payment
+//   webhookSecret() -> secret used to sign webhooks
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const RAZORPAY_ORDERS_URL = 'https://api.razorpay.com/v1/orders';
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const razorpay = {
+  createOrder: async ({ amount, currency, receipt, notes }) => {
+    const { RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET } = process.env;
+    if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+      throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are not configured');
+    }
+    const response = await fetch(RAZORPAY_ORDERS_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ amount, currency, receipt, notes }),
+      signal: AbortSignal.timeout(10000)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(`Razorpay order failed: ${(result.error && result.error.description) || response.status}`);
+    }
+    return { id: result.id, amount: result.amount, currency: result.currency };
+  },
+  checkout: (order, prefill) => ({
+    key: process.env.RAZORPAY_KEY_ID,
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    prefill
+  }),
+  webhookSecret: () => process.env.RAZORPAY_WEBHOOK_SECRET
+};
+
+const mock = {
+  createOrder: async ({ amount, currency }) => ({
+    id: `order_mock_${crypto.randomBytes(8).toString('hex')}`,
+    amount,
+    currency
+  }),
+  checkout: (order, prefill) => ({
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    prefill,
+    payUrl: `/api/payments/mock/${order.id}/pay`
+  }),
+  webhookSecret: () => process.env.MOCK_WEBHOOK_SECRET
+};
+
+const gateways = { razorpay, mock };
+
+const gatewayName = () => process.env.PAYMENT_GATEWAY || null;
+
+// Why the configured gateway can't be used, or null
+const configError = () => {
+  const name = gatewayName();
+  if (!name) {
+    return 'PAYMENT_GATEWAY is not configured';
+  }
+  if (!gateways[name]) {
+    return `Unknown PAYMENT_GATEWAY "${name}"`;
+  }
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    return 'The mock payment gateway is not available in production';
+  }
+  if (name === 'mock' && !process.env.MOCK_WEBHOOK_SECRET) {
+    return 'MOCK_WEBHOOK_SECRET is not configured';
+  }
+  return null;
+};
+
+const gateway = () => {
+  const error = configError();
+  if (error) {
+    throw new Error(error);
+  }
+  return gateways[gatewayName()];
+};
+
+// The mock is selected and usable
+const isMock = () => gatewayName() === 'mock' && !configError();
+
+if (configError()) {
+  logger.warn(`Payments are unavailable: ${configError()}`);
+}
+
+const createOrder = (order) => gateway().createOrder(order);
+
+const checkout = (order, prefill) => ({ gateway: gatewayName(), ...gateway().checkout(order, prefill) });
+
+// rawBody is the request body exactly as received
+const verifyWebhook = (rawBody, signature) => {
+  if (configError()) {
+    return false;
+  }
+  const secret = gateway().webhookSecret();
+  if (!secret || !rawBody || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(sign(rawBody, secret));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Razorpay webhook body -> { type: 'paid' | 'failed', orderId, paymentId, amount, error },
+// or null for events we don't act on
+const parseWebhook = (body) => {
+  const payment = body && body.payload && body.payload.payment && body.payload.payment.entity;
+  if (!payment || !payment.order_id) {
+    return null;
+  }
+  const types = { 'payment.captured': 'paid', 'order.paid': 'paid', 'payment.failed': 'failed' };
+  const type = types[body.event];
+  if (!type) {
+    return null;
+  }
+  return {
+    type,
+    orderId: payment.order_id,
+    paymentId: payment.id,
+    amount: payment.amount,
+    error: type === 'failed' ? payment.error_description || 'Payment failed' : null
+  };
+};
+
+// Mock gateway only: the signed webhook the gateway would send for an order
+const mockWebhook = (order, outcome = 'paid') => {
+  const failed = outcome === 'failed';
+  const body = JSON.stringify({
+    event: failed ? 'payment.failed' : 'payment.captured',
+    payload: {
+      payment: {
+        entity: {
+          id: `pay_mock_${crypto.randomBytes(8).toString('hex')}`,
+          order_id: order.id,
+          amount: order.amount,
+          currency: order.currency,
+          status: failed ? 'failed' : 'captured',
+          error_description: failed ? 'Payment declined by the mock gateway' : null
+        }
+      }
+    },
+    created_at: Math.floor(Date.now() / 1000)
+  });
+  return { body, signature: sign(body, gateway().webhookSecret()) };
+};
+
+module.exports = {
+  gatewayName,
+  isMock,
+  createOrder,
+  checkout,
+  verifyWebhook,
+  parseWebhook,
+  mockWebhook
+};
@@ -0,0 +1,99 @@
+// Race pricing
+// Entry fees come from config/races.js: the regular price or the first
+// matching early-bird window. Groups get the groupDiscounts tier for their
+// size, then a coupon (lib/coupons.js) on what is left. Amounts are in paise.
+
+const { event, categories, groupDiscounts = [] } = require('../config/races');
+const coupons = require('./coupons');
+
+const getCategory = (code) => categories.find(category => category.code === code) || null;
+
+const currentPrice = (category, now = new Date()) => {
+  const window = (category.priceWindows || []).find(entry => (!entry.from || new Date(entry.from) <= now)
+    && (!entry.until || now <= new Date(entry.until)));
+  return {
+    amount: Math.round((window ? window.price : category.price) * 100),
+    currency: event.currency,
+    label: window ? window.label : null
+  };
+};
+
+// Highest tier the group reaches, or null
+const groupTier = (participants) => groupDiscounts
+  .filter(tier => participants >= tier.minParticipants)
+  .sort((a, b) => b.minParticipants - a.minParticipants)[0] || null;
+
+const formatAmount = (amount, currency = event.currency) => new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(amount / 100);
+
+// One runner: { amount, baseAmount, currency, label, discount: { code, amount } | null }
+const quoteIndividual = (category, coupon = null, now = new Date()) => {
+  const price = currentPrice(category, now);
+  const discount = coupon ? coupons.discountOn(coupon, price.amount) : 0;
+  return {
+    ...price,
+    baseAmount: price.amount,
+    amount: price.amount - discount,
+    discount: coupon ? { code: coupon.code, amount: discount } : null
+  };
+};
+
+// A group. items are the participants' race codes when known (from a roster,
+// or numberOfParticipants x one race); without them only the discounts that
+// don't depend on the price are worked out.
+const quoteGroup = ({ participants, items = [], coupon = null }, now = new Date()) => {
+  const tier = groupTier(participants);
+  const prices = items.map(raceCategory => ({ raceCategory, amount: currentPrice(getCategory(raceCategory), now).amount }));
+  const priced = prices.length > 0;
+  const subtotal = prices.reduce((sum, item) => sum + item.amount, 0);
+  const afterTier = (amount) => (tier ? Math.round(amount * (100 - tier.percent) / 100) : amount);
+  const groupDiscount = tier ? { ...tier, amount: priced ? subtotal - afterTier(subtotal) : null } : null;
+
+  let couponDiscount = null;
+  if (coupon) {
+    // Race-restricted coupons only count the participants in those races
+    const eligible = prices.filter(item => coupon.raceCategories.length === 0 || coupon.raceCategories.includes(item.raceCategory))
+      .reduce((sum, item) => sum + item.amount, 0);
+    let amount = null;
+    if (priced) {
+      amount = coupons.discountOn(coupon, afterTier(eligible));
+    } else if (coupon.type === 'flat') {
+      amount = Math.round(coupon.value * 100);
+    }
+    couponDiscount = { code: coupon.code, type: coupon.type, value: coupon.value, amount };
+  }
+
+  return {
+    participants,
+    currency: event.currency,
+    subtotal: priced ? subtotal : null,
+    groupDiscount,
+    coupon: couponDiscount,
+    total: priced ? Math.max(afterTier(subtotal) - ((couponDiscount && couponDiscount.amount) || 0), 0) : null
+  };
+};
+
+// One line for the notification email
+const summarizeGroupQuote = (quote) => {
+  const parts = [];
+  if (quote.groupDiscount) {
+    parts.push(`${quote.groupDiscount.percent}% group discount (${quote.groupDiscount.minParticipants}+ participants)`);
+  }
+  if (quote.coupon) {
+    const value = quote.coupon.type === 'percent' ? `${quote.coupon.value}%` : formatAmount(quote.coupon.value * 100, quote.currency);
+    parts.push(`coupon ${quote.coupon.code} (${value})`);
+  }
+  if (quote.total !== null) {
+    parts.push(`estimated total ${formatAmount(quote.total, quote.currency)} for ${quote.participants} participant(s), before ${formatAmount(quote.subtotal, quote.currency)}`);
+  }
+  return parts.length > 0 ? parts.join('; ') : 'No group discount';
+};
+
+module.exports = {
+  getCategory,
+  currentPrice,
+  groupTier,
+  formatAmount,
+  quoteIndividual,
+  quoteGroup,
+  summarizeGroupQuote
+};
@@ -0,0 +1,185 @@
+// Data privacy
+// Consent: every submission and individual race registration is saved with a
+// consent record (policy version, time, IP address and the consent
+// checkboxes, config/privacy.js).
+//
+// Retention: submissions older than their form's retention period are
+// anonymized or deleted, together with what hangs off them: tickets, leads,
+// pacer reviews, shift assignments, roster registrations, unsent mail,
+// webhook deliveries and uploaded photos (each module's forgetSubmission).
+// Individual race registrations are anonymized after their own period.
+//
+// Export and erasure: everything held about one email address, collected or
+// deleted along with unsent mail to it (lib/privacyRequests.js handles the
+// confirmation by email). Race registrations are anonymized rather than
+// deleted, since bib numbers and payments refer to them.
+//
+// The store files are compacted afterwards, so removed data is gone from
+// disk and not only from memory.
+
+const submissions = require('./submissions');
+const registrations = require('./registrations');
+const tickets = require('./tickets');
+const sponsorLeads = require('./sponsorLeads');
+const pacerReviews = require('./pacerReviews');
+const shifts = require('./shifts');
+const mailQueue = require('./mailQueue');
+const webhookQueue = require('./webhookQueue');
+const fileStorage = require('./fileStorage');
+const { TRUE_VALUES } = require('./validation');
+const { compactAll } = require('./store');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const config = require('../config/privacy');
+
+const ACTIONS = ['anonymize', 'delete'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+Object.entries(config.retention).forEach(([slug, rule]) => {
+  if (!ACTIONS.includes(rule.action)) {
+    throw new Error(`Retention for "${slug}" needs an action of ${ACTIONS.join(' or ')}`);
+  }
+});
+
+metrics.define('privacy_submissions_total', { help: 'Submissions anonymized or deleted, by reason (retention, erasure) and action' });
+
+// Saved with the submission or registration; fields are the consent
+// checkboxes its schema declares
+const consentRecord = (schema, formData, ip, now = new Date()) => {
+  const fields = {};
+  config.consentFields
+    .filter(field => schema.fields[field])
+    .forEach(field => {
+      fields[field] = TRUE_VALUES.includes(formData[field]);
+    });
+  return { policyVersion: config.policyVersion, givenAt: now.toISOString(), ip: ip || null, fields };
+};
+
+const removeFiles = (submission) => Object.values(submission.files || {}).forEach(file => {
+  try {
+    fileStorage.remove(file.key);
+  } catch (error) {
+    logger.warn('Could not remove uploaded file', { submissionId: submission.id, key: file.key, error });
+  }
+});
+
+// Anonymize or delete one submission and everything linked to it
+const forget = (submission, action, reason) => {
+  const anonymize = action === 'anonymize';
+  removeFiles(submission);
+  [tickets, sponsorLeads, pacerReviews, shifts, registrations, mailQueue, webhookQueue]
+    .forEach(module => module.forgetSubmission(submission.id, { anonymize }));
+  if (anonymize) {
+    submissions.anonymize(submission.id, config.keepFields);
+  } else {
+    submissions.remove(submission.id);
+  }
+  metrics.increment('privacy_submissions_total', { reason, action });
+};
+
+// Submissions past their form's retention period, with what to do to them
+const dueForRetention = (now) => submissions.all()
+  .filter(submission => !submission.anonymizedAt)
+  .map(submission => ({ submission, rule: config.retention[submission.formSlug] }))
+  .filter(({ submission, rule }) => rule && rule.days && now - new Date(submission.createdAt) > rule.days * DAY_MS)
+  .map(({ submission, rule }) => ({ submission, action: rule.action }));
+
+// Individual race registrations past config.registrationRetention; a hold
+// still waiting for payment is left alone. Roster registrations follow their
+// submission.
+const registrationsDue = (now) => registrations.all()
+  .filter(registration => registration.source === 'individual' && !registration.anonymizedAt)
+  .filter(registration => registration.status !== 'pending_payment')
+  .filter(() => config.registrationRetention.days)
+  .filter(registration => now - new Date(registration.createdAt) > config.registrationRetention.days * DAY_MS);
+
+// Returns { anonymized, deleted, registrations } counts; dryRun only counts
+const applyRetention = ({ now = new Date(), dryRun = false } = {}) => {
+  const due = dueForRetention(now);
+  const dueRegistrations = registrationsDue(now);
+  const result = {
+    dryRun,
+    anonymized: due.filter(item => item.action === 'anonymize').length,
+    deleted: due.filter(item => item.action === 'delete').length,
+    registrations: dueRegistrations.length
+  };
+  if (dryRun || (due.length === 0 && dueRegistrations.length === 0)) {
+    return result;
+  }
+  due.forEach(({ submission, action }) => forget(submission, action, 'retention'));
+  dueRegistrations.forEach(registration => registrations.anonymize(registration.id));
+  compactAll();
+  logger.info('Retention applied', result);
+  return result;
+};
+
+const sameEmail = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const submissionsOf = (email) => submissions.all().filter(submission => sameEmail(submission.payload.email, email));
+
+// Everything held about an email address, as the person gets it
+const exportData = (email) => ({
+  email,
+  generatedAt: new Date().toISOString(),
+  submissions: submissionsOf(email).map(submission => ({
+    id: submission.id,
+    form: submission.formSlug,
+    createdAt: submission.createdAt,
+    locale: submission.locale || null,
+    fields: submission.payload,
+    files: Object.keys(submission.files || {}),
+    consent: submission.consent || null
+  })),
+  registrations: registrations.findByEmail(email).map(registration => ({
+    id: registration.id,
+    status: registration.status,
+    createdAt: registration.createdAt,
+    participant: registration.participant,
+    bibNumber: registration.bibNumber || null,
+    price: registration.price || null,
+    consent: registration.consent || null
+  })),
+  tickets: tickets.list({ email }).map(summary => {
+    const ticket = tickets.get(summary.id);
+    return {
+      reference: ticket.reference,
+      status: ticket.status,
+      subject: ticket.subject,
+      createdAt: ticket.createdAt,
+      messages: ticket.messages.map(message => ({ direction: message.direction, at: message.at, body: message.body }))
+    };
+  })
+});
+
+// Delete every submission from this address and anonymize its race
+// registrations; returns the counts
+const eraseData = (email) => {
+  const found = submissionsOf(email);
+  found.forEach(submission => forget(submission, 'delete', 'erasure'));
+  const registered = registrations.findByEmail(email);
+  registered.forEach(registration => registrations.anonymize(registration.id));
+  mailQueue.forgetRecipient(email);
+  compactAll();
+  const result = { submissions: found.length, registrations: registered.length };
+  logger.info('Personal data erased', result);
+  return result;
+};
+
+if (process.env.PRIVACY_RETENTION !== 'false') {
+  const retentionTimer = setInterval(() => {
+    try {
+      applyRetention();
+    } catch (error) {
+      logger.error('Applying retention failed', { error });
+    }
+  }, config.sweep.intervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for the sweep
+  retentionTimer.unref();
+}
+
+module.exports = {
+  consentRecord,
+  applyRetention,
+  exportData,
+  eraseData
+};
@@ -0,0 +1,142 @@
+// Data export and erasure requests
+// Anyone can ask, by email address, for a copy of the data held about them
+// ('export') or for it to be deleted ('erasure'). The request only goes ahead
+// once confirmed through a signed link (lib/signedLinks.js) sent to that
+// address, so only the mailbox's owner can use it. The link is sent whether
+// or not we hold anything, so the endpoint reveals nothing about who has
+// submitted a form. Links work for requests.linkHours (config/privacy.js) and
+// only once.
+//
+// Requests are logged in the 'privacy-requests' store with a hash of the
+// address rather than the address itself:
+//
+//   pending    link sent
+//   completed  confirmed and carried out
+//   expired    the link was used after it expired
+//
+// Texts are in locales/ (privacy.*), the email markup in templates/privacy/.
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { logoBase64 } = require('./emails');
+const emailTemplates = require('./templates');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const mailer = require('./mailer');
+const mailQueue = require('./mailQueue');
+const signedLinks = require('./signedLinks');
+const privacy = require('./privacy');
+const logger = require('./logger');
+const { requests: settings } = require('../config/privacy');
+const { event } = require('../config/races');
+
+const store = createStore('privacy-requests');
+
+const TYPES = ['export', 'erasure'];
+const LINK_PATH = '/api/privacy/confirm';
+const PURPOSE = 'privacy-request';
+// Link expiry is shown in the race's local time
+const TIMEZONE = 'Asia/Kolkata';
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const emailHash = (email) => crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+
+const formatDate = (value, locale) => new Intl.DateTimeFormat(`${locale}-IN`, { timeZone: TIMEZONE, dateStyle: 'medium', timeStyle: 'short' })
+  .format(new Date(value));
+
+// { subject, html, text } with the confirmation link
+const renderRequestEmail = (request, url) => {
+  const locale = request.locale || DEFAULT_LOCALE;
+  const tr = (key, params) => t(locale, `privacy.${request.type}.${key}`, params);
+  return {
+    subject: tr('subject'),
+    ...emailTemplates.render('privacy', {
+      locale,
+      heading: tr('heading'),
+      badge: event.name,
+      paragraphs: [t(locale, 'confirmation.greetingAnonymous'), tr('intro')],
+      button: { url, label: tr('button') },
+      expiry: t(locale, 'privacy.expiry', { date: formatDate(request.expiresAt, locale) }),
+      fallback: t(locale, 'verification.linkFallback', { url }),
+      logo: logoBase64(),
+      footerNote: t(locale, 'privacy.footerNote')
+    }, { slug: request.type })
+  };
+};
+
+// Log the request and email the link; returns the request
+const create = (type, email, locale) => {
+  const now = new Date();
+  const request = store.insert({
+    id: crypto.randomUUID(),
+    type,
+    emailHash: emailHash(email),
+    locale: locale || null,
+    status: 'pending',
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + settings.linkHours * 60 * 60 * 1000).toISOString(),
+    completedAt: null,
+    result: null
+  });
+  const token = signedLinks.create(PURPOSE, { r: request.id, e: normalizeEmail(email) }, request.expiresAt);
+  const content = renderRequestEmail(request, signedLinks.url(LINK_PATH, token));
+  mailQueue.enqueue({
+    from: `"Fitcover360 Marathon" <${mailer.defaultFromEmail()}>`,
+    to: email,
+    subject: content.subject,
+    text: content.text,
+    html: content.html
+  }, { kind: `privacy-${type}` });
+  logger.info('Privacy request received', { requestId: request.id, type });
+  return request;
+};
+
+// Look a link up without acting on it. Returns { status, request, email }
+// with status one of pending, already_completed, expired or invalid.
+const check = (token) => {
+  const result = signedLinks.verify(PURPOSE, token);
+  const request = result.data ? store.get(result.data.r) : null;
+  if (!request || request.emailHash !== emailHash(result.data.e)) {
+    return { status: 'invalid', request: null, email: null };
+  }
+  if (request.status !== 'pending') {
+    return { status: request.status === 'completed' ? 'already_completed' : request.status, request, email: result.data.e };
+  }
+  if (result.error) {
+    return { status: 'expired', request: store.update(request.id, { status: 'expired' }), email: result.data.e };
+  }
+  return { status: 'pending', request, email: result.data.e };
+};
+
+// Carry out a confirmed request. Returns check()'s result with
+// status 'completed' and, for exports, the data.
+const complete = (token) => {
+  const checked = check(token);
+  if (checked.status !== 'pending') {
+    return checked;
+  }
+  const { request, email } = checked;
+  const data = request.type === 'export' ? privacy.exportData(email) : null;
+  const result = request.type === 'erasure'
+    ? privacy.eraseData(email)
+    : { submissions: data.submissions.length, registrations: data.registrations.length, tickets: data.tickets.length };
+  const completed = store.update(request.id, { status: 'completed', completedAt: new Date().toISOString(), result });
+  logger.info('Privacy request completed', { requestId: request.id, type: request.type, ...result });
+  return { status: 'completed', request: completed, email, data };
+};
+
+// Newest first: { type, status }
+const list = ({ type, status } = {}) => store.all()
+  .filter(request => !type || request.type === type)
+  .filter(request => !status || request.status === status)
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+module.exports = {
+  TYPES,
+  isAvailable: signedLinks.isConfigured,
+  renderRequestEmail,
+  create,
+  check,
+  complete,
+  list
+};
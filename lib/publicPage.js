@@ -0,0 +1,40 @@
+// Small HTML pages for links people open from their email (email
+// verification, privacy request confirmation), for when the website has no
+// page of its own to send them to. Values are HTML-escaped.
+
+const { event } = require('../config/races');
+
+const escape = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const STYLE = 'body{font-family:-apple-system,Segoe UI,Roboto,Arial,sans-serif;background:#f3f4f6;color:#1f2937;margin:0;padding:40px 16px}' +
+  'main{max-width:520px;margin:0 auto;background:#fff;border-radius:14px;padding:32px;text-align:center}h1{color:#1e40af;font-size:22px}' +
+  'button{background:#1e40af;color:#fff;border:0;border-radius:10px;font-size:16px;font-weight:700;padding:14px 32px;cursor:pointer}';
+
+// form, when given, is a button posting { fields } to action
+const render = ({ locale, title, paragraphs, form }) => `<!DOCTYPE html>
+<html lang="${escape(locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escape(title)} - ${escape(event.name)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escape(event.name)}</h1>
+${paragraphs.map(text => `<p>${escape(text)}</p>`).join('\n')}
+${form ? `<form method="post" action="${escape(form.action)}">
+${Object.entries(form.fields).map(([name, value]) => `<input type="hidden" name="${escape(name)}" value="${escape(value)}">`).join('\n')}
+<button type="submit">${escape(form.button)}</button>
+</form>` : ''}
+</main>
+</body>
+</html>`;
+
+module.exports = {
+  render
+};
@@ -0,0 +1,223 @@
+// Individual race registration
+// A runner picks a race, gets the current price (lib/pricing.js) less any
+// coupon, and a place is held for REGISTRATION_HOLD_MINUTES while they pay
+// through the gateway (lib/payments.js). The gateway's webhook confirms the
+// registration, issues the next bib number in the race's range and emails the
+// runner. Registrations that a coupon makes free are confirmed straight away.
+
+const { event, categories } = require('../config/races');
+const { fields: f } = require('./validation');
+const registrations = require('./registrations');
+const payments = require('./payments');
+const logger = require('./logger');
+const coupons = require('./coupons');
+const { getCategory, currentPrice, quoteIndividual } = require('./pricing');
+const { queueRegistrationConfirmation } = require('./confirmations');
+
+const HOLD_MINUTES = parseInt(process.env.REGISTRATION_HOLD_MINUTES, 10) || 30;
+
+// Bib ranges must not overlap, or two races could issue the same number
+categories.forEach(category => {
+  const overlap = categories.find(other => other !== category
+    && category.bibStart < other.bibStart + other.capacity
+    && other.bibStart < category.bibStart + category.capacity);
+  if (overlap) {
+    throw new Error(`Bib ranges of ${category.code} and ${overlap.code} overlap (config/races.js)`);
+  }
+});
+
+const ageOn = (dateOfBirth, date) => {
+  const birth = new Date(dateOfBirth);
+  const day = new Date(date);
+  let age = day.getFullYear() - birth.getFullYear();
+  if (day.getMonth() < birth.getMonth() || (day.getMonth() === birth.getMonth() && day.getDate() < birth.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+const registrationSchema = {
+  fields: {
+    ...registrations.participantSchema.fields,
+    email: { ...f.EMAIL, required: true },
+    phone: { ...f.PHONE, required: true },
+    couponCode: { type: 'string', maxLength: 32 },
+    privacyTermsAccepted: { type: 'boolean', mustBeTrue: true, required: true },
+    smsAuthorization: { type: 'boolean' }
+  },
+  rules: registrations.participantSchema.rules.concat([
+    (participant) => {
+      const category = getCategory(participant.raceCategory);
+      if (!category || !category.minAge || !participant.dateOfBirth) return null;
+      return ageOn(participant.dateOfBirth, event.raceDate) < category.minAge
+        ? { field: 'dateOfBirth', code: 'too_young', message: `Runners in the ${category.code} must be at least ${category.minAge} on race day` }
+        : null;
+    }
+  ])
+};
+
+const registrationOpen = (now = new Date()) => now >= new Date(event.registrationOpens) && now <= new Date(event.registrationCloses);
+
+// Public race list with today's price and places left
+const describeRaces = (now = new Date()) => ({
+  event: { ...event, open: registrationOpen(now) },
+  races: categories.map(category => {
+    const remaining = Math.max(category.capacity - registrations.placesTaken(category.code, now), 0);
+    return {
+      code: category.code,
+      name: category.name,
+      price: currentPrice(category, now),
+      regularPrice: { amount: category.price * 100, currency: event.currency },
+      priceWindows: category.priceWindows || [],
+      minAge: category.minAge || null,
+      capacity: category.capacity,
+      remaining,
+      soldOut: remaining === 0
+    };
+  })
+});
+
+const failure = (status, code, message) => ({ error: { status, code, message } });
+
+const confirm = (registration, paymentEvent) => {
+  const category = getCategory(registration.participant.raceCategory);
+  if (registration.status !== 'pending_payment' && registrations.placesTaken(category.code) >= category.capacity) {
+    // The hold expired and the race filled up meanwhile; the runner has paid, so keep them
+    logger.warn('Registration paid after its hold expired; race is now over capacity', { registrationId: registration.id, race: category.code });
+  }
+  const bibNumber = registrations.nextBibNumber(category);
+  const confirmed = registrations.update(registration.id, record => ({
+    status: 'confirmed',
+    bibNumber,
+    confirmedAt: new Date().toISOString(),
+    payment: {
+      ...record.payment,
+      paymentId: paymentEvent.paymentId,
+      status: paymentEvent.status || 'captured',
+      paidAt: paymentEvent.paymentId ? new Date().toISOString() : null,
+      error: null
+    }
+  }));
+  if (confirmed.couponRedemptionId) {
+    coupons.redeem(confirmed.couponRedemptionId);
+  }
+  if (bibNumber === null) {
+    // Only after an over-capacity payment; the bib email waits for staff
+    logger.error('No bib numbers left in the race range; assign one by hand', { registrationId: confirmed.id, race: category.code });
+  } else {
+    queueRegistrationConfirmation(confirmed, category, event);
+  }
+  logger.info('Registration confirmed', { registrationId: confirmed.id, race: category.code, bibNumber: confirmed.bibNumber });
+  return confirmed;
+};
+
+// participant holds the validated registrationSchema fields, the coupon code
+// and consent checkboxes aside. Returns { registration, checkout } or
+// { error: { status, code, message } }.
+const register = async (participant, { locale, couponCode, consent } = {}) => {
+  const now = new Date();
+  if (!registrationOpen(now)) {
+    return failure(409, 'registration_closed', 'Registration is not open');
+  }
+  const category = getCategory(participant.raceCategory);
+  let coupon = null;
+  if (couponCode) {
+    const checked = coupons.check(couponCode, { kind: 'individual', raceCategory: category.code }, now);
+    if (checked.error) {
+      return failure(400, checked.error.code, checked.error.message);
+    }
+    coupon = checked.coupon;
+  }
+  // Checked and held in the same tick, so two requests can't take the last place
+  if (registrations.placesTaken(category.code, now) >= category.capacity) {
+    return failure(409, 'sold_out', `The ${category.name} is sold out`);
+  }
+
+  const price = quoteIndividual(category, coupon, now);
+  const expiresAt = new Date(now.getTime() + HOLD_MINUTES * 60 * 1000).toISOString();
+  let registration = registrations.createIndividual(participant, { price, locale, expiresAt, consent });
+  if (coupon) {
+    const redemption = coupons.reserve(coupon, { registrationId: registration.id }, { discount: price.discount.amount, expiresAt });
+    registration = registrations.update(registration.id, { couponRedemptionId: redemption.id });
+  }
+
+  if (price.amount === 0) {
+    registration = registrations.update(registration.id, {
+      payment: { gateway: null, orderId: null, paymentId: null, status: 'not_required', paidAt: null, error: null }
+    });
+    return { registration: confirm(registration, { paymentId: null, status: 'not_required' }), checkout: null };
+  }
+
+  let order;
+  try {
+    order = await payments.createOrder({
+      amount: price.amount,
+      currency: price.currency,
+      receipt: registration.id.slice(0, 40),
+      notes: { registrationId: registration.id, raceCategory: category.code }
+    });
+  } catch (error) {
+    // Release the place and the coupon; the runner can try again
+    registrations.update(registration.id, { status: 'payment_failed', payment: { gateway: payments.gatewayName(), error: error.message } });
+    if (registration.couponRedemptionId) {
+      coupons.release(registration.couponRedemptionId);
+    }
+    logger.error('Payment order failed', { registrationId: registration.id, error });
+    return failure(502, 'payment_unavailable', 'Payments are unavailable right now. Please try again shortly.');
+  }
+
+  const updated = registrations.update(registration.id, {
+    payment: {
+      gateway: payments.gatewayName(),
+      orderId: order.id,
+      paymentId: null,
+      status: 'created',
+      paidAt: null,
+      error: null
+    }
+  });
+  return {
+    registration: updated,
+    checkout: payments.checkout(order, { name: participant.name, email: participant.email, contact: participant.phone })
+  };
+};
+
+// Apply a verified gateway event. Returns { outcome, registration }; webhooks
+// repeat, so events for settled registrations are acknowledged and ignored.
+const applyPaymentEvent = (paymentEvent) => {
+  const registration = registrations.findByOrderId(paymentEvent.orderId);
+  if (!registration) {
+    return { outcome: 'unknown_order', registration: null };
+  }
+  if (registration.status === 'confirmed') {
+    return { outcome: 'already_confirmed', registration };
+  }
+  if (paymentEvent.type === 'paid') {
+    return { outcome: 'confirmed', registration: confirm(registration, paymentEvent) };
+  }
+  const failed = registrations.update(registration.id, record => ({
+    status: 'payment_failed',
+    payment: { ...record.payment, paymentId: paymentEvent.paymentId, status: 'failed', error: paymentEvent.error }
+  }));
+  if (failed.couponRedemptionId) {
+    coupons.release(failed.couponRedemptionId);
+  }
+  return { outcome: 'payment_failed', registration: failed };
+};
+
+// Release places held by runners who never paid
+const expiryTimer = setInterval(() => {
+  const expired = registrations.expireHolds();
+  if (expired > 0) {
+    logger.info('Expired unpaid registration holds', { count: expired });
+  }
+}, 60 * 1000);
+expiryTimer.unref();
+
+module.exports = {
+  HOLD_MINUTES,
+  registrationSchema,
+  describeRaces,
+  register,
+  applyPaymentEvent
+};
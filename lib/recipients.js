@@ -0,0 +1,116 @@
+// Recipient routing
+// Maps each form (by route slug) to to/cc/bcc lists. The configuration comes
+// from RECIPIENTS_CONFIG_JSON (inline JSON, handy on Render), else the file at
+// RECIPIENTS_CONFIG, else config/recipients.json.
+//
+// A form's lists in this config replace the form's declared recipients
+// (config/forms.js), which replace the defaults. Rules then adjust them based on the
+// submitted fields: { "when": { "field", "equals" | "in" | "matches" },
+// "to"/"cc"/"bcc": [...], "mode": "add" (default) | "replace" }.
+
+const fs = require('fs');
+const path = require('path');
+
+const LIST_KEYS = ['to', 'cc', 'bcc'];
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'recipients.json');
+
+const toList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(address => String(address).trim())
+    .filter(Boolean);
+};
+
+const loadConfig = () => {
+  let raw;
+  let source;
+  if (process.env.RECIPIENTS_CONFIG_JSON) {
+    raw = process.env.RECIPIENTS_CONFIG_JSON;
+    source = 'RECIPIENTS_CONFIG_JSON';
+  } else {
+    source = process.env.RECIPIENTS_CONFIG || DEFAULT_CONFIG_PATH;
+    raw = fs.readFileSync(source, 'utf8');
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid recipient routing config in ${source}: ${error.message}`);
+  }
+
+  if (!config.default || toList(config.default.to).length === 0) {
+    throw new Error(`Recipient routing config in ${source} needs a "default.to" list`);
+  }
+  return config;
+};
+
+const config = loadConfig();
+
+const fieldValue = (formData, field) => {
+  const value = formData[field];
+  return value === undefined || value === null ? '' : String(value).trim();
+};
+
+const matchesCondition = (condition, formData) => {
+  if (!condition || !condition.field) return false;
+  const value = fieldValue(formData, condition.field).toLowerCase();
+  if (condition.equals !== undefined) {
+    return value === String(condition.equals).toLowerCase();
+  }
+  if (Array.isArray(condition.in)) {
+    return condition.in.some(option => String(option).toLowerCase() === value);
+  }
+  if (condition.matches !== undefined) {
+    return new RegExp(condition.matches, 'i').test(value);
+  }
+  return false;
+};
+
+const unique = (list) => Array.from(new Set(list.map(address => address.toLowerCase())))
+  .map(lower => list.find(address => address.toLowerCase() === lower));
+
+// Resolve { to, cc, bcc } for a submission of the given form
+const resolveRecipients = (slug, formData = {}, declared = null) => {
+  const formConfig = (config.forms && config.forms[slug]) || {};
+  const recipients = {};
+  LIST_KEYS.forEach(key => {
+    if (formConfig[key] !== undefined) {
+      recipients[key] = toList(formConfig[key]);
+    } else if (declared && declared[key] !== undefined) {
+      recipients[key] = toList(declared[key]);
+    } else {
+      recipients[key] = toList(config.default[key]);
+    }
+  });
+
+  (formConfig.rules || []).forEach(rule => {
+    if (!matchesCondition(rule.when, formData)) return;
+    LIST_KEYS.forEach(key => {
+      if (rule[key] === undefined) return;
+      recipients[key] = rule.mode === 'replace'
+        ? toList(rule[key])
+        : recipients[key].concat(toList(rule[key]));
+    });
+  });
+
+  LIST_KEYS.forEach(key => {
+    recipients[key] = unique(recipients[key]);
+  });
+  // Don't copy someone who is already a direct recipient
+  recipients.cc = recipients.cc.filter(address => !recipients.to.includes(address));
+  recipients.bcc = recipients.bcc.filter(address => !recipients.to.includes(address) && !recipients.cc.includes(address));
+  return recipients;
+};
+
+// Base lists per registered form (before rules), for the startup log
+const describeRouting = (forms) => forms.map(form => ({
+  slug: form.slug,
+  ...resolveRecipients(form.slug, {}, form.recipients),
+  rules: (((config.forms || {})[form.slug] || {}).rules || []).length
+}));
+
+module.exports = {
+  resolveRecipients,
+  describeRouting
+};
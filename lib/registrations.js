@@ -0,0 +1,173 @@
+// Race registrations
+// One record per participant. Bulk registrations come from an organization's
+// roster and stay linked to its bulk registration submission. Individual
+// registrations are paid online: they start as pending_payment with a
+// gateway order and become confirmed, with a bib number, once it is paid.
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { fields: f } = require('./validation');
+const { categories } = require('../config/races');
+
+const store = createStore('registrations');
+
+const GENDERS = ['Male', 'Female', 'Other'];
+const TSHIRT_SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL'];
+
+// Individual registration states
+//   pending_payment  order created, place held until expiresAt
+//   confirmed        paid, bib number issued
+//   payment_failed   the gateway reported a failed payment
+//   expired          the hold ran out before payment
+const STATUSES = ['pending', 'pending_payment', 'confirmed', 'payment_failed', 'expired'];
+
+// Validation schema for one participant, shared by rosters and individual registration
+const participantSchema = {
+  fields: {
+    name: { ...f.NAME, required: true },
+    gender: { type: 'string', oneOf: GENDERS, required: true },
+    dateOfBirth: { type: 'date', required: true },
+    raceCategory: { type: 'string', oneOf: categories.map(category => category.code), required: true },
+    tshirtSize: { type: 'string', oneOf: TSHIRT_SIZES, required: true },
+    emergencyContactName: { ...f.NAME, required: true },
+    emergencyContactPhone: { ...f.PHONE, required: true }
+  },
+  rules: [
+    (participant) => (participant.dateOfBirth && new Date(participant.dateOfBirth) > new Date()
+      ? { field: 'dateOfBirth', code: 'invalid_date', message: 'Date of birth is in the future' }
+      : null)
+  ]
+};
+
+// participants are validated roster rows (see lib/roster.js)
+const createFromRoster = (submission, participants) => {
+  const now = new Date().toISOString();
+  return participants.map(participant => store.insert({
+    id: crypto.randomUUID(),
+    source: 'bulk',
+    submissionId: submission.id,
+    organizationName: submission.payload.organizationName || null,
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now,
+    participant
+  }));
+};
+
+// price is { amount (paise), currency, label }; the order is attached once
+// created. consent is lib/privacy.js's consentRecord.
+const createIndividual = (participant, { price, expiresAt, locale, consent }) => {
+  const now = new Date().toISOString();
+  return store.insert({
+    id: crypto.randomUUID(),
+    source: 'individual',
+    status: 'pending_payment',
+    createdAt: now,
+    updatedAt: now,
+    expiresAt,
+    locale,
+    participant,
+    consent: consent || null,
+    price,
+    payment: null,
+    bibNumber: null,
+    confirmedAt: null
+  });
+};
+
+const update = (id, changes) => store.update(id, record => ({
+  ...record,
+  ...(typeof changes === 'function' ? changes(record) : changes),
+  updatedAt: new Date().toISOString()
+}));
+
+const listBySubmission = (submissionId) => store.all()
+  .filter(registration => registration.submissionId === submissionId);
+
+const findByOrderId = (orderId) => store.all()
+  .find(registration => registration.payment && registration.payment.orderId === orderId) || null;
+
+// Confirmed runners, group roster registrations and unexpired holds, i.e.
+// places taken in a race
+const placesTaken = (raceCategory, now = new Date()) => store.all().filter(registration => (
+  registration.participant.raceCategory === raceCategory
+  && (registration.status === 'confirmed'
+    || registration.status === 'pending'
+    || (registration.status === 'pending_payment' && new Date(registration.expiresAt) > now))
+)).length;
+
+// Next free bib in the category's range (bibStart to bibStart + capacity - 1),
+// or null when the range is used up
+const nextBibNumber = (category) => {
+  const issued = store.all()
+    .filter(registration => registration.bibNumber && registration.participant.raceCategory === category.code)
+    .map(registration => registration.bibNumber);
+  const next = issued.length > 0 ? Math.max(...issued) + 1 : category.bibStart;
+  return next < category.bibStart + category.capacity ? next : null;
+};
+
+// Mark holds past their expiry as expired; returns how many were
+const expireHolds = (now = new Date()) => {
+  const stale = store.all().filter(registration => registration.status === 'pending_payment' && new Date(registration.expiresAt) <= now);
+  stale.forEach(registration => update(registration.id, { status: 'expired' }));
+  return stale.length;
+};
+
+const sameEmail = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const findByEmail = (email) => store.all().filter(registration => sameEmail(registration.participant.email, email));
+
+// Data privacy (lib/privacy.js): registrations stay for bib numbers, places
+// and payments, with only the race and t-shirt size left of the participant
+const anonymize = (id) => update(id, record => ({
+  participant: { raceCategory: record.participant.raceCategory, tshirtSize: record.participant.tshirtSize },
+  consent: record.consent ? { ...record.consent, ip: null } : record.consent,
+  anonymizedAt: new Date().toISOString()
+}));
+
+// Roster registrations of a bulk registration submission, anonymized when
+// the submission is deleted or anonymized. Returns how many.
+const forgetSubmission = (submissionId) => {
+  const found = listBySubmission(submissionId);
+  found.forEach(registration => anonymize(registration.id));
+  return found.length;
+};
+
+const filter = ({ source, status, raceCategory } = {}) => store.all()
+  .filter(registration => !source || registration.source === source)
+  .filter(registration => !status || registration.status === status)
+  .filter(registration => !raceCategory || registration.participant.raceCategory === raceCategory)
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+const query = ({ page = 1, limit = 20, ...criteria } = {}) => {
+  const matches = filter(criteria);
+  return {
+    total: matches.length,
+    page,
+    limit,
+    pages: Math.ceil(matches.length / limit),
+    items: matches.slice((page - 1) * limit, page * limit)
+  };
+};
+
+module.exports = {
+  GENDERS,
+  TSHIRT_SIZES,
+  STATUSES,
+  participantSchema,
+  createFromRoster,
+  createIndividual,
+  update,
+  listBySubmission,
+  findByOrderId,
+  placesTaken,
+  nextBibNumber,
+  expireHolds,
+  findByEmail,
+  anonymize,
+  forgetSubmission,
+  filter,
+  query,
+  get: store.get,
+  all: store.all
+};
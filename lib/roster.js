@@ -0,0 +1,268 @@
+// Bulk registration rosters
+// Organizations upload a CSV or XLSX roster with one participant per row.
+// Each row is validated on its own: valid rows become individual
+// registrations, invalid rows are reported back with their row number.
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseCSV } = require('./csv');
+const { validateSubmission } = require('./validation');
+const { categories } = require('../config/races');
+const registrations = require('./registrations');
+const submissions = require('./submissions');
+const fileStorage = require('./fileStorage');
+const logger = require('./logger');
+
+const MAX_ROWS = 10000;
+// Per-row errors returned in the response; the rest are only counted
+const MAX_REPORTED_ERRORS = 200;
+
+// Header spellings accepted for each column (compared lowercased, punctuation stripped)
+const COLUMN_ALIASES = {
+  name: ['name', 'full name', 'participant name', 'participant'],
+  gender: ['gender', 'sex'],
+  dateOfBirth: ['dob', 'date of birth', 'birth date', 'birthdate'],
+  raceCategory: ['race category', 'category', 'race', 'distance'],
+  tshirtSize: ['tshirt size', 't shirt size', 'tshirt', 't shirt', 'shirt size'],
+  emergencyContactName: ['emergency contact name', 'emergency contact'],
+  emergencyContactPhone: ['emergency contact phone', 'emergency contact number', 'emergency phone', 'emergency mobile']
+};
+
+const COLUMN_LABELS = {
+  name: 'Name',
+  gender: 'Gender',
+  dateOfBirth: 'Date of Birth',
+  raceCategory: 'Race Category',
+  tshirtSize: 'T-Shirt Size',
+  emergencyContactName: 'Emergency Contact Name',
+  emergencyContactPhone: 'Emergency Contact Phone'
+};
+
+const rowSchema = registrations.participantSchema;
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const columnFor = (header) => {
+  const normalized = normalizeHeader(header);
+  return Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized)) || null;
+};
+
+// DD/MM/YYYY and DD-MM-YYYY (the usual format in India) become YYYY-MM-DD
+const normalizeDate = (value) => {
+  const match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) {
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  return value;
+};
+
+const normalizers = {
+  gender: (value) => {
+    const lower = value.toLowerCase();
+    if (lower === 'm' || lower === 'male') return 'Male';
+    if (lower === 'f' || lower === 'female') return 'Female';
+    if (lower === 'o' || lower === 'other') return 'Other';
+    return value;
+  },
+  dateOfBirth: normalizeDate,
+  raceCategory: (value) => {
+    const lower = value.toLowerCase().trim();
+    const category = categories.find(entry => entry.code.toLowerCase() === lower || entry.aliases.includes(lower));
+    return category ? category.code : value;
+  },
+  tshirtSize: (value) => {
+    const upper = value.toUpperCase().replace(/\s+/g, '');
+    const numbered = upper.match(/^([2-3])XL$/);
+    return numbered ? 'X'.repeat(Number(numbered[1])) + 'L' : upper;
+  }
+};
+
+const cellText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    // ExcelJS rich text, hyperlinks and formulas
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+  }
+  return String(value);
+};
+
+// Returns an array of rows (arrays of strings), header first
+const readRows = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.csv') {
+    return parseCSV(file.buffer.toString('utf8'));
+  }
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(file.buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, row => {
+    // row.values is 1-based
+    rows.push(row.values.slice(1).map(cellText));
+  });
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Validate every data row. Row numbers match the spreadsheet (header is row 1).
+const validateRows = (rows) => {
+  const [header, ...dataRows] = rows;
+  const columns = header.map(columnFor);
+  const missing = Object.keys(COLUMN_ALIASES).filter(key => !columns.includes(key));
+  if (missing.length > 0) {
+    return { missing };
+  }
+
+  const participants = [];
+  const errors = [];
+  const seen = new Map();
+
+  dataRows.forEach((cells, index) => {
+    const rowNumber = index + 2;
+    const participant = {};
+    columns.forEach((key, column) => {
+      if (!key) return;
+      const value = (cells[column] || '').trim();
+      participant[key] = value && normalizers[key] ? normalizers[key](value) : value;
+    });
+
+    const rowErrors = validateSubmission(rowSchema, participant);
+    const identity = `${participant.name.toLowerCase()}|${participant.dateOfBirth}`;
+    if (rowErrors.length === 0 && seen.has(identity)) {
+      rowErrors.push({ field: 'name', code: 'duplicate_row', message: `Same participant as row ${seen.get(identity)}` });
+    }
+
+    if (rowErrors.length > 0) {
+      rowErrors.forEach(error => errors.push({ row: rowNumber, ...error }));
+    } else {
+      seen.set(identity, rowNumber);
+      participants.push({ row: rowNumber, ...participant });
+    }
+  });
+
+  return { participants, errors, totalRows: dataRows.length };
+};
+
+// The first race the participants need more places in than are left, as
+// { category, wanted, left }, or null
+const placesShort = (participants) => categories
+  .map(category => ({
+    category,
+    wanted: participants.filter(participant => participant.raceCategory === category.code).length,
+    left: Math.max(category.capacity - registrations.placesTaken(category.code), 0)
+  }))
+  .find(({ wanted, left }) => wanted > left) || null;
+
+const rosterError = (code, message) => ({ errors: [{ field: 'roster', code, message }] });
+
+// Form hook (config/forms.js): parse and check the uploaded roster before the
+// submission is saved, then store the valid participants once it is
+const prepare = async (req, form) => {
+  const file = req.files && req.files.roster && req.files.roster[0];
+  if (!file) {
+    return {};
+  }
+
+  let rows;
+  try {
+    rows = await readRows(file);
+  } catch (error) {
+    return rosterError('invalid_file', `Could not read the roster file: ${error.message}`);
+  }
+  if (rows.length < 2) {
+    return rosterError('empty_roster', 'The roster has no participant rows');
+  }
+  if (rows.length - 1 > MAX_ROWS) {
+    return rosterError('too_many_rows', `The roster can have at most ${MAX_ROWS} rows`);
+  }
+
+  const result = validateRows(rows);
+  if (result.missing) {
+    return rosterError('missing_columns', `Missing column(s): ${result.missing.map(key => COLUMN_LABELS[key]).join(', ')}`);
+  }
+
+  const expected = parseInt(req.body.numberOfParticipants, 10);
+  if (result.totalRows > expected) {
+    return rosterError('count_exceeded', `The roster has ${result.totalRows} rows but numberOfParticipants is ${expected}`);
+  }
+  const short = placesShort(result.participants);
+  if (short) {
+    return rosterError('sold_out', `The roster has ${short.wanted} runner(s) for the ${short.category.name} but only ${short.left} place(s) are left`);
+  }
+
+  const summary = {
+    filename: file.originalname,
+    totalRows: result.totalRows,
+    accepted: result.participants.length,
+    rejected: result.totalRows - result.participants.length,
+    expected
+  };
+  if (result.totalRows < expected) {
+    summary.warning = `The roster has ${result.totalRows} of ${expected} participants`;
+  }
+
+  // Stored like uploaded images so the queued notification refers to the file
+  // by path instead of carrying it; discarded if the request isn't saved
+  const stored = fileStorage.save({
+    buffer: file.buffer,
+    originalName: file.originalname,
+    contentType: file.mimetype,
+    folder: form.slug
+  });
+
+  return {
+    record: { roster: summary, files: { roster: stored } },
+    // Read by later hooks, e.g. lib/groupPricing.js
+    participants: result.participants,
+    emailFields: {
+      rosterSummary: `${summary.accepted} valid / ${summary.totalRows} rows (${expected} expected), file: ${summary.filename}`
+    },
+    attachments: [{
+      filename: file.originalname,
+      contentType: file.mimetype,
+      ...fileStorage.attachment(stored.key)
+    }],
+    discard: () => fileStorage.remove(stored.key),
+    afterSave: (submission) => {
+      // Waiting for email verification: registered from the stored file once
+      // confirmed (afterVerify)
+      const created = submissions.isConfirmed(submission) ? registrations.createFromRoster(submission, result.participants) : [];
+      return {
+        roster: {
+          ...summary,
+          registrationIds: created.map(registration => registration.id),
+          errors: result.errors.slice(0, MAX_REPORTED_ERRORS),
+          errorsTruncated: result.errors.length > MAX_REPORTED_ERRORS
+        }
+      };
+    }
+  };
+};
+
+// Register the participants of a submission confirmed after saving, reading
+// its stored roster again
+const afterVerify = async (submission) => {
+  const stored = submission.files && submission.files.roster;
+  if (!stored) {
+    return [];
+  }
+  const rows = await readRows({ originalname: stored.originalName || stored.key, buffer: fileStorage.read(stored.key) });
+  const { participants } = validateRows(rows);
+  const short = placesShort(participants);
+  if (short) {
+    // Places were free when the roster came in; the group is kept as confirmed
+    logger.warn('Verified roster puts a race over capacity', { submissionId: submission.id, race: short.category.code, wanted: short.wanted, left: short.left });
+  }
+  return registrations.createFromRoster(submission, participants);
+};
+
+module.exports = {
+  COLUMN_LABELS,
+  readRows,
+  validateRows,
+  prepare,
+  afterVerify
+};
@@ -0,0 +1,102 @@
+// Volunteer shift emails
+// A volunteer assigned to a shift gets an email with the station, time and
+// place plus an .ics file for their calendar; a cancelled assignment sends a
+// cancellation that removes the event again. Texts are in locales/ (shift.*),
+// the markup in templates/shift/ with per-area overrides named after the area
+// code with dashes (templates/shift/water-station.html.hbs).
+
+const { logoBase64 } = require('./emails');
+const emailTemplates = require('./templates');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const { buildEvent } = require('./ical');
+const mailer = require('./mailer');
+const mailQueue = require('./mailQueue');
+const { event } = require('../config/races');
+const { timezone } = require('../config/volunteering');
+
+const formatDate = (value, locale) => new Intl.DateTimeFormat(`${locale}-IN`, { timeZone: timezone, dateStyle: 'full' })
+  .format(new Date(value));
+const formatTime = (value, locale) => new Intl.DateTimeFormat(`${locale}-IN`, { timeZone: timezone, timeStyle: 'short' })
+  .format(new Date(value));
+
+// Calendar file for the assignment; the same UID lets a cancellation replace it
+const calendarFile = ({ assignment, shift, station }, { cancelled, summary, description }) => ({
+  filename: 'volunteer-shift.ics',
+  contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'PUBLISH'}`,
+  content: buildEvent({
+    uid: `${assignment.id}@fitcover360-marathon`,
+    start: shift.start,
+    end: shift.end,
+    summary,
+    location: station.location,
+    description,
+    organizer: { name: event.name, email: mailer.defaultFromEmail() },
+    method: cancelled ? 'CANCEL' : 'PUBLISH',
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    sequence: cancelled ? 1 : 0
+  })
+});
+
+// { subject, html, text, attachments } for an assignment or its cancellation
+const renderShiftEmail = ({ assignment, shift, station, volunteer }) => {
+  const cancelled = assignment.status === 'cancelled';
+  const locale = volunteer.locale || DEFAULT_LOCALE;
+  const tr = (key, params) => t(locale, `shift.${key}`, params);
+  const date = formatDate(shift.start, locale);
+  const time = `${formatTime(shift.start, locale)} - ${formatTime(shift.end, locale)}`;
+  const params = { station: station.name, date, time };
+  const summary = tr('calendarSummary', params);
+  const content = emailTemplates.render('shift', {
+    locale,
+    cancelled,
+    heading: tr(cancelled ? 'cancelledHeading' : 'heading'),
+    badge: event.name,
+    paragraphs: [
+      volunteer.name ? t(locale, 'confirmation.greeting', { name: volunteer.name }) : t(locale, 'confirmation.greetingAnonymous'),
+      tr(cancelled ? 'cancelledIntro' : 'intro', params),
+      tr(cancelled ? 'cancelledCalendarNote' : 'calendarNote')
+    ],
+    details: [
+      { label: tr('station'), value: station.name },
+      { label: tr('role'), value: shift.role },
+      { label: tr('date'), value: date },
+      { label: tr('time'), value: time },
+      { label: tr('location'), value: station.location },
+      { label: tr('notes'), value: shift.notes }
+    ].filter(detail => detail.value),
+    sections: cancelled ? [] : tr('sections'),
+    logo: logoBase64(),
+    footerNote: t(locale, 'confirmation.footerNote')
+  }, { slug: station.area.replace(/_/g, '-') });
+  return {
+    subject: tr(cancelled ? 'cancelledSubject' : 'subject', params),
+    ...content,
+    attachments: [calendarFile({ assignment, shift, station }, {
+      cancelled,
+      summary,
+      description: [station.notes, shift.notes].filter(Boolean).join('\n')
+    })]
+  };
+};
+
+// Queue the email for a result of shifts.assign() or shifts.cancel();
+// returns the queued message, or null when the volunteer has no email
+const queueShiftEmail = (result) => {
+  if (!result.volunteer || !result.volunteer.email) {
+    return null;
+  }
+  const content = renderShiftEmail(result);
+  return mailQueue.enqueue({
+    from: `"Fitcover360 Marathon" <${mailer.defaultFromEmail()}>`,
+    to: result.volunteer.email,
+    subject: content.subject,
+    text: content.text,
+    html: content.html,
+    attachments: content.attachments
+  }, { kind: 'shift' });
+};
+
+module.exports = {
+  renderShiftEmail,
+  queueShiftEmail
+};
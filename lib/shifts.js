@@ -0,0 +1,473 @@
+// Volunteer shift scheduling
+// Coordinators create stations (water stations, bib expo, finish line,
+// medical, ...) and shifts with a capacity through the admin API. Volunteers
+// are the saved volunteer form submissions: their availableDateStart/End,
+// timeAvailability and preferredArea drive the suggestions.
+//
+//   suggest()   proposes volunteers for open places, preferring people who
+//               asked for that kind of station and have the fewest shifts
+//   coverage()  per-shift staffing (uncovered, partial, full, overbooked)
+//               and volunteers booked on overlapping shifts
+//   assign()    books a volunteer; refuses double-booking, and a full shift
+//               unless allowOverbooking is set
+//
+// Times are stored as ISO timestamps and read in config/volunteering.js's timezone.
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const submissions = require('./submissions');
+const { timezone, maxShiftsPerVolunteer, areas, timeWindows } = require('../config/volunteering');
+
+const stations = createStore('stations');
+const shifts = createStore('shifts');
+const assignments = createStore('shift-assignments');
+
+const VOLUNTEER_FORM = 'volunteer';
+const AREA_CODES = areas.map(area => area.code);
+
+const failure = (status, code, message) => ({ error: { status, code, message } });
+
+// --- Local time -------------------------------------------------------------
+
+const localParts = new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+// { date: 'YYYY-MM-DD', minutes } in the event timezone
+const localTime = (value) => {
+  const parts = {};
+  localParts.formatToParts(new Date(value)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+const toMinutes = (text) => {
+  const [hours, minutes] = text.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// --- Availability -----------------------------------------------------------
+
+const ANY_TIME_PATTERN = /\b(any ?time|flexible|full day|all day|whole day)\b/;
+// "6am-10am", "6-10 am", "06:00 to 10:30", "2 pm - 6 pm"
+const RANGE_PATTERN = /(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*(?:-|–|to)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/g;
+// A range followed by a month is a date range ("17-18 jan"), not hours
+const MONTH_AFTER_PATTERN = /^\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/;
+
+const clockMinutes = (hours, minutes, meridiem) => {
+  let hour = Number(hours) % 24;
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  return hour * 60 + Number(minutes || 0);
+};
+
+// timeAvailability text -> [{ start, end }] in minutes, or null for "any time"
+// (also when nothing in the text is recognized)
+const parseTimeAvailability = (text) => {
+  const value = String(text || '').toLowerCase().trim();
+  if (!value || ANY_TIME_PATTERN.test(value)) {
+    return null;
+  }
+  const windows = [];
+  let remaining = value;
+  let match;
+  while ((match = RANGE_PATTERN.exec(value)) !== null) {
+    if (!match[3] && !match[6] && MONTH_AFTER_PATTERN.test(value.slice(match.index + match[0].length))) {
+      continue;
+    }
+    let end = clockMinutes(match[4], match[5], match[6]);
+    // "6-10 am": the second meridiem applies to both, unless that would put
+    // the start after the end ("10-2 pm" is 10am to 2pm)
+    let start = clockMinutes(match[1], match[2], match[3] || match[6]);
+    if (!match[3] && match[6] && start > end) {
+      start = clockMinutes(match[1], match[2], match[6] === 'pm' ? 'am' : 'pm');
+    }
+    // "9 to 5" means 9am to 5pm
+    if (end <= start && !match[6]) end += 12 * 60;
+    windows.push({ start, end });
+    remaining = remaining.replace(match[0], ' ');
+  }
+  Object.keys(timeWindows)
+    .sort((a, b) => b.length - a.length)
+    .forEach(word => {
+      if (remaining.includes(word)) {
+        windows.push({ start: toMinutes(timeWindows[word][0]), end: toMinutes(timeWindows[word][1]) });
+        remaining = remaining.split(word).join(' ');
+      }
+    });
+  return windows.length > 0 ? windows : null;
+};
+
+// Station area codes a volunteer's preferredArea mentions
+const preferredAreas = (text) => {
+  const value = String(text || '').toLowerCase();
+  if (!value) return [];
+  return areas
+    .filter(area => area.code === value || area.name.toLowerCase() === value || area.keywords.some(keyword => value.includes(keyword)))
+    .map(area => area.code);
+};
+
+// availableDateStart/End as YYYY-MM-DD, to compare with localTime() dates.
+// The form accepts anything Date parses; dates without a time ("17 Jan 2027")
+// parse as midnight on the server's clock, so their own calendar day is kept.
+const calendarDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text || /^\d{4}-\d{2}-\d{2}$/.test(text)) return text || null;
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return null;
+  if (/\d:\d/.test(text)) return localTime(date).date;
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+    .join('-');
+};
+
+const volunteerProfile = (submission) => {
+  const data = submission.payload;
+  return {
+    submissionId: submission.id,
+    name: data.name,
+    email: data.email,
+    locale: submission.locale,
+    dateStart: calendarDate(data.availableDateStart),
+    dateEnd: calendarDate(data.availableDateEnd),
+    timeWindows: parseTimeAvailability(data.timeAvailability),
+    areas: preferredAreas(data.preferredArea),
+    createdAt: submission.createdAt
+  };
+};
+
+const volunteers = () => submissions.filter({ form: VOLUNTEER_FORM })
+  .filter(submission => submission.review.status !== 'rejected' && submissions.isReachable(submission))
+  .map(volunteerProfile);
+
+// Whether the volunteer said they can do the whole shift
+const isAvailable = (profile, shift) => {
+  const start = localTime(shift.start);
+  if (profile.dateStart && start.date < profile.dateStart) return false;
+  if (profile.dateEnd && start.date > profile.dateEnd) return false;
+  if (!profile.timeWindows) return true;
+  const end = start.minutes + Math.round((new Date(shift.end) - new Date(shift.start)) / 60000);
+  return profile.timeWindows.some(window => start.minutes >= window.start && end <= window.end);
+};
+
+// --- Stations and shifts ----------------------------------------------------
+
+// Admin input -> list of { field, code, message }, like lib/validation.js
+const validateStation = (input) => {
+  const errors = [];
+  if (!input.name || typeof input.name !== 'string' || input.name.trim().length > 100) {
+    errors.push({ field: 'name', code: 'required', message: 'A name of up to 100 characters is required' });
+  }
+  if (!AREA_CODES.includes(input.area)) {
+    errors.push({ field: 'area', code: 'invalid_choice', message: `Must be one of: ${AREA_CODES.join(', ')}` });
+  }
+  return errors;
+};
+
+const createStation = (input) => stations.insert({
+  id: crypto.randomUUID(),
+  name: input.name.trim(),
+  area: input.area,
+  location: input.location ? String(input.location).slice(0, 200) : null,
+  notes: input.notes ? String(input.notes).slice(0, 1000) : null,
+  createdAt: new Date().toISOString()
+});
+
+const listStations = () => stations.all().sort((a, b) => a.name.localeCompare(b.name));
+
+const getStation = (id) => stations.get(id);
+
+const validDateTime = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+// partial: only check the fields present (PATCH)
+const validateShift = (input, { partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => !partial || input[field] !== undefined;
+  if (has('stationId') && !stations.get(input.stationId)) {
+    errors.push({ field: 'stationId', code: 'unknown_station', message: 'Station not found' });
+  }
+  ['start', 'end'].forEach(field => {
+    if (has(field) && !validDateTime(input[field])) {
+      errors.push({ field, code: 'invalid_date', message: 'Must be an ISO date and time, e.g. 2027-01-17T04:00:00+05:30' });
+    }
+  });
+  if (validDateTime(input.start) && validDateTime(input.end) && new Date(input.end) <= new Date(input.start)) {
+    errors.push({ field: 'end', code: 'invalid_range', message: 'Must be after start' });
+  }
+  if (has('capacity') && !(Number.isInteger(input.capacity) && input.capacity > 0 && input.capacity <= 1000)) {
+    errors.push({ field: 'capacity', code: 'invalid_integer', message: 'Must be a whole number from 1 to 1000' });
+  }
+  return errors;
+};
+
+const createShift = (input) => shifts.insert({
+  id: crypto.randomUUID(),
+  stationId: input.stationId,
+  role: input.role ? String(input.role).slice(0, 100) : null,
+  start: new Date(input.start).toISOString(),
+  end: new Date(input.end).toISOString(),
+  capacity: input.capacity,
+  notes: input.notes ? String(input.notes).slice(0, 1000) : null,
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+});
+
+// Changes to start, end, capacity, role or notes; a lower capacity can leave
+// the shift overbooked, which coverage() reports
+const updateShift = (id, input) => shifts.update(id, record => {
+  const changes = {};
+  ['start', 'end'].forEach(field => {
+    if (input[field] !== undefined) changes[field] = new Date(input[field]).toISOString();
+  });
+  if (input.capacity !== undefined) changes.capacity = input.capacity;
+  ['role', 'notes'].forEach(field => {
+    if (input[field] !== undefined) changes[field] = input[field] ? String(input[field]).slice(0, 1000) : null;
+  });
+  return { ...record, ...changes, updatedAt: new Date().toISOString() };
+});
+
+const getShift = (id) => shifts.get(id);
+
+const listShifts = ({ stationId } = {}) => shifts.all()
+  .filter(shift => !stationId || shift.stationId === stationId)
+  .sort((a, b) => a.start.localeCompare(b.start));
+
+// --- Assignments ------------------------------------------------------------
+
+const activeAssignments = () => assignments.all().filter(assignment => assignment.status === 'assigned');
+
+const assignmentsForShift = (shiftId) => activeAssignments().filter(assignment => assignment.shiftId === shiftId);
+
+const overlaps = (a, b) => new Date(a.start) < new Date(b.end) && new Date(b.start) < new Date(a.end);
+
+const getAssignment = (id) => assignments.get(id);
+
+// Returns { assignment, shift, station, volunteer } or { error: { status, code, message } }
+const assign = (shiftId, submissionId, { allowOverbooking = false, by = 'admin' } = {}) => {
+  const shift = shifts.get(shiftId);
+  if (!shift) {
+    return failure(404, 'shift_not_found', 'Shift not found');
+  }
+  const submission = submissions.get(submissionId);
+  if (!submission || submission.formSlug !== VOLUNTEER_FORM) {
+    return failure(404, 'volunteer_not_found', 'Volunteer submission not found');
+  }
+  if (!submissions.isReachable(submission)) {
+    return failure(409, 'volunteer_unreachable', 'The volunteer is anonymized or has not confirmed their email address');
+  }
+  const active = activeAssignments();
+  if (active.some(assignment => assignment.shiftId === shiftId && assignment.submissionId === submissionId)) {
+    return failure(409, 'already_assigned', 'The volunteer is already on this shift');
+  }
+  const clash = active
+    .filter(assignment => assignment.submissionId === submissionId)
+    .map(assignment => shifts.get(assignment.shiftId))
+    .find(other => other && overlaps(other, shift));
+  if (clash) {
+    return failure(409, 'volunteer_conflict', `The volunteer already has an overlapping shift (${clash.id})`);
+  }
+  const booked = active.filter(assignment => assignment.shiftId === shiftId).length;
+  if (booked >= shift.capacity && !allowOverbooking) {
+    return failure(409, 'shift_full', `The shift is full (${booked}/${shift.capacity})`);
+  }
+
+  const assignment = assignments.insert({
+    id: crypto.randomUUID(),
+    shiftId,
+    submissionId,
+    status: 'assigned',
+    overbooked: booked >= shift.capacity,
+    assignedBy: by,
+    createdAt: new Date().toISOString(),
+    cancelledAt: null
+  });
+  return { assignment, shift, station: stations.get(shift.stationId), volunteer: volunteerProfile(submission) };
+};
+
+const cancel = (assignmentId) => {
+  const existing = assignments.get(assignmentId);
+  if (!existing || existing.status !== 'assigned') {
+    return failure(404, 'assignment_not_found', 'Active assignment not found');
+  }
+  const assignment = assignments.update(assignmentId, { status: 'cancelled', cancelledAt: new Date().toISOString() });
+  const shift = shifts.get(assignment.shiftId);
+  const submission = submissions.get(assignment.submissionId);
+  return {
+    assignment,
+    shift,
+    station: stations.get(shift.stationId),
+    volunteer: submission ? volunteerProfile(submission) : null
+  };
+};
+
+const recordNotification = (assignmentId, mailId) => assignments.update(assignmentId, record => ({
+  ...record,
+  notifications: (record.notifications || []).concat({ mailId, status: record.status, at: new Date().toISOString() })
+}));
+
+// --- Suggestions and coverage -----------------------------------------------
+
+// Proposed { shiftId, submissionId } pairs for every open place. Volunteers
+// must be available for the whole shift, not already booked at that time and
+// under maxShiftsPerVolunteer. Nothing is saved.
+const suggest = ({ stationId } = {}) => {
+  const profiles = volunteers();
+  const booked = new Map(profiles.map(profile => [profile.submissionId, []]));
+  activeAssignments().forEach(assignment => {
+    const shift = shifts.get(assignment.shiftId);
+    if (shift && booked.has(assignment.submissionId)) {
+      booked.get(assignment.submissionId).push(shift);
+    }
+  });
+
+  const suggestions = [];
+  const unfilled = [];
+  listShifts({ stationId }).forEach(shift => {
+    const station = stations.get(shift.stationId);
+    let open = shift.capacity - assignmentsForShift(shift.id).length;
+    if (open <= 0) return;
+
+    const candidates = profiles
+      .filter(profile => {
+        const taken = booked.get(profile.submissionId);
+        return taken.length < maxShiftsPerVolunteer && !taken.some(other => overlaps(other, shift)) && isAvailable(profile, shift);
+      })
+      .map(profile => ({ profile, preferred: profile.areas.includes(station.area) }))
+      // Preferred area first, then whoever has the fewest shifts, then first to sign up
+      .sort((a, b) => (b.preferred - a.preferred)
+        || (booked.get(a.profile.submissionId).length - booked.get(b.profile.submissionId).length)
+        || a.profile.createdAt.localeCompare(b.profile.createdAt));
+
+    candidates.slice(0, open).forEach(({ profile, preferred }) => {
+      booked.get(profile.submissionId).push(shift);
+      suggestions.push({
+        shiftId: shift.id,
+        stationId: station.id,
+        station: station.name,
+        start: shift.start,
+        end: shift.end,
+        submissionId: profile.submissionId,
+        name: profile.name,
+        preferredArea: preferred,
+        anyTime: profile.timeWindows === null
+      });
+      open--;
+    });
+    if (open > 0) {
+      unfilled.push({ shiftId: shift.id, station: station.name, start: shift.start, end: shift.end, open });
+    }
+  });
+  return { suggestions, unfilled };
+};
+
+const coverageStatus = (assigned, capacity) => {
+  if (assigned === 0) return 'uncovered';
+  if (assigned < capacity) return 'partial';
+  return assigned > capacity ? 'overbooked' : 'full';
+};
+
+// Staffing per shift plus volunteers with overlapping shifts
+const coverage = ({ stationId } = {}) => {
+  const active = activeAssignments();
+  const rows = listShifts({ stationId }).map(shift => {
+    const assigned = active.filter(assignment => assignment.shiftId === shift.id).length;
+    const station = stations.get(shift.stationId);
+    return {
+      shiftId: shift.id,
+      stationId: station.id,
+      station: station.name,
+      area: station.area,
+      role: shift.role,
+      start: shift.start,
+      end: shift.end,
+      capacity: shift.capacity,
+      assigned,
+      open: Math.max(shift.capacity - assigned, 0),
+      overbookedBy: Math.max(assigned - shift.capacity, 0),
+      status: coverageStatus(assigned, shift.capacity)
+    };
+  });
+
+  // A volunteer can end up double-booked when shift times are changed later
+  const bySubmission = new Map();
+  active.forEach(assignment => {
+    const shift = shifts.get(assignment.shiftId);
+    if (!shift) return;
+    bySubmission.set(assignment.submissionId, (bySubmission.get(assignment.submissionId) || []).concat(shift));
+  });
+  const conflicts = [];
+  bySubmission.forEach((booked, submissionId) => {
+    booked.forEach((shift, index) => {
+      booked.slice(index + 1).filter(other => overlaps(shift, other)).forEach(other => {
+        conflicts.push({ submissionId, shiftIds: [shift.id, other.id] });
+      });
+    });
+  });
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+  return {
+    summary: {
+      shifts: rows.length,
+      places: rows.reduce((sum, row) => sum + row.capacity, 0),
+      assigned: rows.reduce((sum, row) => sum + row.assigned, 0),
+      uncovered: count('uncovered'),
+      partial: count('partial'),
+      full: count('full'),
+      overbooked: count('overbooked'),
+      conflicts: conflicts.length
+    },
+    shifts: rows,
+    conflicts
+  };
+};
+
+// One shift with its station and the volunteers on it
+const describeShift = (shift) => ({
+  ...shift,
+  station: stations.get(shift.stationId),
+  assignments: assignmentsForShift(shift.id).map(assignment => {
+    const submission = submissions.get(assignment.submissionId);
+    return { ...assignment, name: submission ? submission.payload.name : null, email: submission ? submission.payload.email : null };
+  })
+});
+
+// Data privacy (lib/privacy.js): assignments hold no personal data of their
+// own, so they stay when the volunteer is anonymized and go when the
+// submission is deleted. Returns how many were removed.
+const forgetSubmission = (submissionId, { anonymize = false } = {}) => {
+  if (anonymize) return 0;
+  const found = assignments.all().filter(assignment => assignment.submissionId === submissionId);
+  found.forEach(assignment => assignments.remove(assignment.id));
+  return found.length;
+};
+
+module.exports = {
+  AREA_CODES,
+  localTime,
+  parseTimeAvailability,
+  preferredAreas,
+  validateStation,
+  createStation,
+  listStations,
+  getStation,
+  validateShift,
+  createShift,
+  updateShift,
+  getShift,
+  listShifts,
+  describeShift,
+  getAssignment,
+  assign,
+  cancel,
+  recordNotification,
+  suggest,
+  coverage,
+  forgetSubmission
+};
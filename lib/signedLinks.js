@@ -0,0 +1,64 @@
+// Signed, expiring links
+// Links emailed to people (e.g. to confirm their address) carry a token:
+//
+//   base64url(JSON { p: purpose, d: data, e: expiry in unix seconds }).base64url(HMAC-SHA256)
+//
+// signed with EMAIL_LINK_SECRET. The purpose is part of what is signed, so a
+// token made for one kind of link can't be used on another. Links point at
+// PUBLIC_BASE_URL (default http://localhost:<PORT>).
+
+const crypto = require('crypto');
+
+const secret = () => process.env.EMAIL_LINK_SECRET || '';
+
+const isConfigured = () => secret().length >= 16;
+
+const hmac = (body) => crypto.createHmac('sha256', secret()).update(body).digest('base64url');
+
+// data must be JSON-serializable; expiresAt a Date or ISO string
+const create = (purpose, data, expiresAt) => {
+  if (!isConfigured()) {
+    throw new Error('EMAIL_LINK_SECRET is not set (at least 16 characters)');
+  }
+  const body = Buffer.from(JSON.stringify({ p: purpose, d: data, e: Math.floor(new Date(expiresAt).getTime() / 1000) })).toString('base64url');
+  return `${body}.${hmac(body)}`;
+};
+
+// { data, expiresAt } or { error: 'invalid' | 'expired' }
+const verify = (purpose, token, now = new Date()) => {
+  const [body, signature] = String(token || '').split('.');
+  if (!isConfigured() || !body || !signature) {
+    return { error: 'invalid' };
+  }
+  const expected = Buffer.from(hmac(body));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { error: 'invalid' };
+  }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'invalid' };
+  }
+  if (claims.p !== purpose) {
+    return { error: 'invalid' };
+  }
+  const expiresAt = new Date(claims.e * 1000);
+  if (expiresAt <= now) {
+    return { error: 'expired', data: claims.d };
+  }
+  return { data: claims.d, expiresAt };
+};
+
+const baseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/+$/, '');
+
+// Absolute URL for path with the token as ?token=
+const url = (path, token) => `${baseUrl()}${path}?token=${encodeURIComponent(token)}`;
+
+module.exports = {
+  isConfigured,
+  create,
+  verify,
+  url
+};
@@ -0,0 +1,241 @@
+// Spam protection for the public form endpoints
+// screenRequest runs before validation: per-IP rate limit, honeypot field,
+// minimum fill time and captcha. screenSubmission runs after validation:
+// duplicate detection and per-email rate limit. Every rejection is counted in
+// the form_rejections_total metric.
+//
+// The rate limits count submissions that are saved (countSubmission) and
+// requests spam protection turns away, not ones rejected for their content
+// (validation, a roster with errors, a sold-out race), so people correcting a
+// form aren't locked out. A request reserves its hits when it is checked, so
+// parallel requests can't all slip under the limit, and they are released
+// when it is answered without being counted.
+//
+// The client-side helper fields are stripped from the body so they are never
+// validated, stored or emailed:
+//   _gotcha        honeypot, must stay empty (SPAM_HONEYPOT_FIELD)
+//   _startedAt     when the form was rendered, ms since epoch or ISO date
+//   captchaToken   captcha response token (also g-recaptcha-response etc.)
+
+const crypto = require('crypto');
+const captcha = require('./captcha');
+const metrics = require('./metrics');
+const logger = require('./logger');
+
+const config = {
+  ipLimit: parseInt(process.env.RATE_LIMIT_IP_MAX, 10) || 10,
+  ipWindowMs: parseInt(process.env.RATE_LIMIT_IP_WINDOW_MS, 10) || 15 * 60 * 1000,
+  emailLimit: parseInt(process.env.RATE_LIMIT_EMAIL_MAX, 10) || 5,
+  emailWindowMs: parseInt(process.env.RATE_LIMIT_EMAIL_WINDOW_MS, 10) || 60 * 60 * 1000,
+  honeypotField: process.env.SPAM_HONEYPOT_FIELD || '_gotcha',
+  minFillMs: process.env.SPAM_MIN_FILL_MS !== undefined ? parseInt(process.env.SPAM_MIN_FILL_MS, 10) : 3000,
+  requireFillTime: process.env.SPAM_REQUIRE_FILL_TIME === 'true',
+  duplicateWindowMs: parseInt(process.env.SPAM_DUPLICATE_WINDOW_MS, 10) || 10 * 60 * 1000
+};
+
+const CAPTCHA_FIELDS = ['captchaToken', 'g-recaptcha-response', 'h-captcha-response', 'cf-turnstile-response'];
+const META_FIELDS = [config.honeypotField, '_startedAt'].concat(CAPTCHA_FIELDS);
+
+// Sliding-window hit log per key: Map<key, timestamps[]>
+const createLimiter = (limit, windowMs) => {
+  const hits = new Map();
+  const limiter = {
+    // Returns ms until the caller may retry, or 0 when allowed
+    check: (key) => {
+      const now = Date.now();
+      const recent = (hits.get(key) || []).filter(time => now - time < windowMs);
+      hits.set(key, recent);
+      return recent.length >= limit ? recent[0] + windowMs - now : 0;
+    },
+    // Checks and, when allowed, records a hit. Returns { retryAfterMs,
+    // release() } where release takes the hit back.
+    reserve: (key) => {
+      const retryAfterMs = limiter.check(key);
+      if (retryAfterMs > 0) {
+        return { retryAfterMs, release: () => {} };
+      }
+      const time = Date.now();
+      hits.set(key, hits.get(key).concat(time));
+      const release = () => {
+        const times = hits.get(key) || [];
+        const index = times.indexOf(time);
+        if (index !== -1) {
+          hits.set(key, times.slice(0, index).concat(times.slice(index + 1)));
+        }
+      };
+      return { retryAfterMs: 0, release };
+    },
+    hit: (key) => limiter.reserve(key).retryAfterMs,
+    prune: () => {
+      const now = Date.now();
+      hits.forEach((times, key) => {
+        const recent = times.filter(time => now - time < windowMs);
+        if (recent.length === 0) {
+          hits.delete(key);
+        } else {
+          hits.set(key, recent);
+        }
+      });
+    }
+  };
+  return limiter;
+};
+
+metrics.define('form_rejections_total', { help: 'Form submissions rejected by spam protection, by form and reason' });
+
+const ipLimiter = createLimiter(config.ipLimit, config.ipWindowMs);
+const emailLimiter = createLimiter(config.emailLimit, config.emailWindowMs);
+// payload hash -> { submissionId, at }
+const recentPayloads = new Map();
+
+// Drop expired entries so memory stays bounded
+const pruneTimer = setInterval(() => {
+  ipLimiter.prune();
+  emailLimiter.prune();
+  const now = Date.now();
+  recentPayloads.forEach((entry, hash) => {
+    if (now - entry.at >= config.duplicateWindowMs) {
+      recentPayloads.delete(hash);
+    }
+  });
+}, 60 * 1000);
+pruneTimer.unref();
+
+const reject = (req, res, form, reason, status, body) => {
+  metrics.increment('form_rejections_total', { form: form.slug, reason });
+  logger.warn('Submission rejected', { form: form.slug, reason, ip: req.ip });
+  return res.status(status).json(body);
+};
+
+const parseStartedAt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+// Stable hash of the submitted fields (ignoring key order, case and
+// whitespace) and of any uploaded files
+const payloadHash = (form, formData, files) => {
+  const normalized = Object.keys(formData).sort().map(key => {
+    const value = formData[key];
+    return [key, typeof value === 'string' ? value.trim().toLowerCase() : value];
+  });
+  const hash = crypto.createHash('sha256').update(form.slug + JSON.stringify(normalized));
+  Object.keys(files || {}).sort().forEach(field => {
+    files[field].forEach(file => hash.update(field).update(file.buffer));
+  });
+  return hash.digest('hex');
+};
+
+const screenRequest = (form) => async (req, res, next) => {
+  const body = req.body || {};
+  const honeypot = body[config.honeypotField];
+  const startedAt = parseStartedAt(body._startedAt);
+  const captchaToken = CAPTCHA_FIELDS.map(field => body[field]).find(Boolean);
+  META_FIELDS.forEach(field => {
+    delete body[field];
+  });
+  req.body = body;
+
+  const { retryAfterMs, release } = ipLimiter.reserve(req.ip);
+  if (retryAfterMs > 0) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return reject(req, res, form, 'rate_limit_ip', 429, {
+      success: false,
+      error: 'Too many submissions. Please try again later.',
+      code: 'rate_limited'
+    });
+  }
+  req.rateLimitHolds = [release];
+  res.on('finish', () => {
+    if (!req.rateLimitCounted) {
+      req.rateLimitHolds.forEach(releaseHold => releaseHold());
+    }
+  });
+
+  // Bots fill every field; answer as if it worked so they don't adapt
+  if (honeypot) {
+    req.rateLimitCounted = true;
+    metrics.increment('form_rejections_total', { form: form.slug, reason: 'honeypot' });
+    logger.warn('Submission dropped', { form: form.slug, reason: 'honeypot', ip: req.ip });
+    return res.json({ success: true, message: 'Submission received' });
+  }
+
+  if (startedAt === null ? config.requireFillTime : Date.now() - startedAt < config.minFillMs) {
+    req.rateLimitCounted = true;
+    return reject(req, res, form, 'too_fast', 400, {
+      success: false,
+      error: 'The form was submitted too quickly. Please try again.',
+      code: 'too_fast'
+    });
+  }
+
+  if (captcha.isRequired()) {
+    const result = await captcha.verify(captchaToken, req.ip);
+    if (!result.success) {
+      req.rateLimitCounted = true;
+      return reject(req, res, form, 'captcha', 400, {
+        success: false,
+        error: 'Captcha verification failed. Please try again.',
+        code: 'captcha_failed'
+      });
+    }
+  }
+
+  next();
+};
+
+const screenSubmission = (form) => (req, res, next) => {
+  const hash = payloadHash(form, req.body, req.files);
+  const previous = recentPayloads.get(hash);
+  // A resubmission (double click, retry) gets the original submission back
+  if (previous && Date.now() - previous.at < config.duplicateWindowMs) {
+    metrics.increment('form_rejections_total', { form: form.slug, reason: 'duplicate' });
+    return res.json({
+      success: true,
+      submissionId: previous.submissionId,
+      duplicate: true,
+      message: 'Submission received'
+    });
+  }
+
+  if (req.body.email) {
+    const { retryAfterMs, release } = emailLimiter.reserve(String(req.body.email).trim().toLowerCase());
+    if (retryAfterMs > 0) {
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      return reject(req, res, form, 'rate_limit_email', 429, {
+        success: false,
+        error: 'Too many submissions for this email address. Please try again later.',
+        code: 'rate_limited'
+      });
+    }
+    req.rateLimitHolds.push(release);
+  }
+
+  req.payloadHash = hash;
+  next();
+};
+
+// Keep the hits a saved submission (or registration, request) reserved
+// against the IP rate limit, and the email address one when screenSubmission
+// checked it
+const countSubmission = (req) => {
+  req.rateLimitCounted = true;
+};
+
+// Called once a submission is saved so resubmissions can be matched to it;
+// counts it against the rate limits too
+const rememberSubmission = (req, submission) => {
+  countSubmission(req);
+  if (req.payloadHash) {
+    recentPayloads.set(req.payloadHash, { submissionId: submission.id, at: Date.now() });
+  }
+};
+
+module.exports = {
+  createLimiter,
+  screenRequest,
+  screenSubmission,
+  countSubmission,
+  rememberSubmission
+};
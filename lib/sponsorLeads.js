@@ -0,0 +1,374 @@
+// Sponsorship leads
+// Each sponsorship inquiry is a lead that the sponsorship team works through
+//
+//   new -> contacted -> proposal_sent -> negotiating -> won | lost
+//
+// Stages may be skipped or revisited, and closed leads reopened; winning one
+// needs a unit of its tier left (config/sponsorship.js), as won leads are what
+// use up a tier's quantity. Inquiries for a sold-out tier are waitlisted or
+// rejected on the form (prepare). Stage changes, notes and edits all count as
+// activity; an open lead is stale once its follow-up date has passed or it has
+// had no activity for its stage's staleAfterDays. Deal values are in rupees.
+// Inquiries nobody has touched yet have no record here and start as 'new'.
+
+const { createStore } = require('./store');
+const submissions = require('./submissions');
+const { soldOut, tiers, stages } = require('../config/sponsorship');
+const { event } = require('../config/races');
+
+const store = createStore('sponsor-leads');
+
+const SPONSORSHIP_FORM = 'sponsorship';
+const STAGES = ['new', 'contacted', 'proposal_sent', 'negotiating', 'won', 'lost'];
+const CLOSED_STAGES = ['won', 'lost'];
+const TIER_CODES = tiers.map(tier => tier.code);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const failure = (status, code, message) => ({ error: { status, code, message } });
+
+const getTier = (code) => tiers.find(tier => tier.code === code) || null;
+
+// The tier named by the form's free-text sponsorshipLevel ("Gold", "gold
+// sponsor", "Title"), or null
+const matchTier = (level) => {
+  if (!level) return null;
+  const words = String(level).trim().toLowerCase().replace(/\s+/g, ' ');
+  const bare = words.replace(/ (sponsor|sponsorship|package|tier|level)$/, '');
+  return tiers.find(tier => [tier.code, tier.name.toLowerCase(), ...(tier.aliases || [])]
+    .some(name => name === words || name === bare)) || null;
+};
+
+// The lead for a sponsorship submission, or the initial state when there is none
+const leadOf = (submission) => {
+  const stored = store.get(submission.id);
+  if (stored) return stored;
+  const tier = matchTier(submission.payload.sponsorshipLevel);
+  return {
+    id: submission.id,
+    stage: 'new',
+    tier: tier ? tier.code : null,
+    waitlisted: false,
+    value: tier ? tier.price : null,
+    owner: null,
+    nextFollowUpAt: null,
+    lastActivityAt: submission.createdAt,
+    lostReason: null,
+    remindedAt: null,
+    notes: [],
+    history: [],
+    updatedAt: null
+  };
+};
+
+// Inquiries waiting for email verification (or never confirmed) aren't leads
+const sponsorshipSubmission = (id) => {
+  const submission = submissions.get(id);
+  return submission && submission.formSlug === SPONSORSHIP_FORM && submissions.isConfirmed(submission) ? submission : null;
+};
+
+const allLeads = () => submissions.filter({ form: SPONSORSHIP_FORM })
+  .filter(submissions.isConfirmed)
+  .map(submission => ({ submission, lead: leadOf(submission) }));
+
+const wonIn = (code, exceptId) => allLeads()
+  .filter(({ submission, lead }) => lead.stage === 'won' && lead.tier === code && submission.id !== exceptId)
+  .length;
+
+const remaining = (code, exceptId) => Math.max(getTier(code).quantity - wonIn(code, exceptId), 0);
+
+const save = (lead) => (store.get(lead.id) ? store.update(lead.id, lead) : store.insert(lead));
+
+// Save the lead for a confirmed inquiry: the tier asked for, waitlisted when
+// none are left. Also run when an inquiry's email is verified (afterVerify).
+const saveLead = (submission) => {
+  const tier = matchTier(submission.payload.sponsorshipLevel);
+  if (!tier) {
+    return null;
+  }
+  const waitlisted = remaining(tier.code, submission.id) === 0;
+  return save({ ...leadOf(submission), tier: tier.code, waitlisted });
+};
+
+// Form hook for the sponsorship form: finds the tier asked for and checks
+// there is one left. A sold-out tier is either refused or the inquiry is
+// saved as a waitlisted lead, as config/sponsorship.js says. Inquiries waiting
+// for email verification become leads once confirmed.
+const prepare = (req) => {
+  const tier = matchTier(req.body.sponsorshipLevel);
+  if (!tier) {
+    return {};
+  }
+  const waitlisted = remaining(tier.code) === 0;
+  if (waitlisted && soldOut === 'reject') {
+    return {
+      errors: [{
+        field: 'sponsorshipLevel',
+        code: 'tier_sold_out',
+        message: `The ${tier.name} package is sold out`
+      }]
+    };
+  }
+  return {
+    emailFields: { sponsorshipTier: waitlisted ? `${tier.name} (sold out, waitlisted)` : tier.name },
+    confirmationFields: { sponsorshipWaitlisted: waitlisted },
+    afterSave: (submission) => {
+      if (!submissions.isConfirmed(submission)) {
+        return {};
+      }
+      const lead = save({ ...leadOf(submission), tier: tier.code, waitlisted });
+      return { lead: { id: lead.id, tier: lead.tier, waitlisted } };
+    }
+  };
+};
+
+const entry = (fields, by, now) => ({ ...fields, by, at: now });
+
+// Move a lead to another stage. options: { note, lostReason, by }.
+// Returns { submission, lead, previous } or { error: { status, code, message } }.
+const transition = (id, stage, { note = null, lostReason = null, by = 'admin' } = {}) => {
+  const submission = sponsorshipSubmission(id);
+  if (!submission) {
+    return failure(404, 'lead_not_found', 'Sponsorship lead not found');
+  }
+  if (!STAGES.includes(stage)) {
+    return failure(400, 'invalid_stage', `Stage must be one of: ${STAGES.join(', ')}`);
+  }
+  const current = leadOf(submission);
+  if (current.stage === stage) {
+    return failure(409, 'invalid_transition', `Lead is already ${stage}`);
+  }
+  if (stage === 'won' && current.tier && remaining(current.tier, id) === 0) {
+    return failure(409, 'tier_sold_out', `All ${getTier(current.tier).quantity} ${getTier(current.tier).name} package(s) are sold; move this lead to another tier or lose a won lead first`);
+  }
+
+  const now = new Date().toISOString();
+  const lead = save({
+    ...current,
+    stage,
+    waitlisted: stage === 'won' ? false : current.waitlisted,
+    lostReason: stage === 'lost' && lostReason ? String(lostReason).slice(0, 500) : null,
+    nextFollowUpAt: CLOSED_STAGES.includes(stage) ? null : current.nextFollowUpAt,
+    lastActivityAt: now,
+    updatedAt: now,
+    history: current.history.concat(entry({
+      from: current.stage,
+      to: stage,
+      note: note ? String(note).slice(0, 2000) : null
+    }, by, now))
+  });
+  return { submission, lead, previous: current.stage };
+};
+
+const validateChanges = (changes) => {
+  const errors = [];
+  if (changes.value !== undefined && changes.value !== null &&
+      (typeof changes.value !== 'number' || !Number.isFinite(changes.value) || changes.value < 0)) {
+    errors.push({ field: 'value', code: 'invalid', message: 'value must be a non-negative amount in rupees' });
+  }
+  if (changes.tier !== undefined && changes.tier !== null && !TIER_CODES.includes(changes.tier)) {
+    errors.push({ field: 'tier', code: 'invalid', message: `tier must be one of: ${TIER_CODES.join(', ')}` });
+  }
+  if (changes.owner !== undefined && changes.owner !== null && typeof changes.owner !== 'string') {
+    errors.push({ field: 'owner', code: 'invalid', message: 'owner must be a string' });
+  }
+  if (changes.nextFollowUpAt !== undefined && changes.nextFollowUpAt !== null &&
+      Number.isNaN(Date.parse(changes.nextFollowUpAt))) {
+    errors.push({ field: 'nextFollowUpAt', code: 'invalid', message: 'nextFollowUpAt must be a date' });
+  }
+  return errors;
+};
+
+const EDITABLE = ['value', 'tier', 'owner', 'nextFollowUpAt'];
+
+// Edit the deal: { value, tier, owner, nextFollowUpAt }, null clears.
+// Returns { submission, lead }, { errors } or { error }.
+const update = (id, input, { by = 'admin' } = {}) => {
+  const submission = sponsorshipSubmission(id);
+  if (!submission) {
+    return failure(404, 'lead_not_found', 'Sponsorship lead not found');
+  }
+  const changes = {};
+  EDITABLE.filter(key => input[key] !== undefined).forEach(key => {
+    changes[key] = input[key];
+  });
+  const errors = validateChanges(changes);
+  if (errors.length > 0) {
+    return { errors };
+  }
+  const current = leadOf(submission);
+  if (changes.tier && changes.tier !== current.tier && current.stage === 'won' && remaining(changes.tier, id) === 0) {
+    return failure(409, 'tier_sold_out', `No ${getTier(changes.tier).name} package left for this won lead`);
+  }
+  if (typeof changes.owner === 'string') {
+    changes.owner = changes.owner.trim().slice(0, 100) || null;
+  }
+  if (changes.nextFollowUpAt) {
+    changes.nextFollowUpAt = new Date(changes.nextFollowUpAt).toISOString();
+  }
+
+  const now = new Date().toISOString();
+  const lead = save({
+    ...current,
+    ...changes,
+    lastActivityAt: now,
+    updatedAt: now,
+    history: current.history.concat(entry({ from: current.stage, to: current.stage, changes }, by, now))
+  });
+  return { submission, lead };
+};
+
+// A note is activity too: logging a call keeps the lead from going stale
+const addNote = (id, note, { by = 'admin' } = {}) => {
+  const submission = sponsorshipSubmission(id);
+  if (!submission) {
+    return failure(404, 'lead_not_found', 'Sponsorship lead not found');
+  }
+  const current = leadOf(submission);
+  const now = new Date().toISOString();
+  const lead = save({
+    ...current,
+    lastActivityAt: now,
+    updatedAt: now,
+    notes: current.notes.concat({ note: String(note).slice(0, 2000), by, at: now })
+  });
+  return { submission, lead };
+};
+
+// Why an open lead needs attention, or null
+const staleReason = (lead, now = new Date()) => {
+  if (CLOSED_STAGES.includes(lead.stage)) return null;
+  if (lead.nextFollowUpAt && new Date(lead.nextFollowUpAt) <= now) return 'follow_up_due';
+  const { staleAfterDays } = stages[lead.stage];
+  if (staleAfterDays && now - new Date(lead.lastActivityAt) > staleAfterDays * DAY_MS) return 'no_activity';
+  return null;
+};
+
+const describe = ({ submission, lead }, now = new Date()) => ({
+  submissionId: submission.id,
+  companyName: submission.payload.companyName,
+  contactPerson: submission.payload.contactPerson,
+  email: submission.payload.email,
+  phone: submission.payload.phone,
+  sponsorshipLevel: submission.payload.sponsorshipLevel || null,
+  websiteUrl: submission.payload.websiteUrl || null,
+  submittedAt: submission.createdAt,
+  stale: staleReason(lead, now),
+  lead
+});
+
+// Leads, newest first: { stage, tier, owner, stale }
+const list = ({ stage, tier, owner, stale } = {}) => {
+  const now = new Date();
+  return allLeads()
+    .filter(({ lead }) => !stage || lead.stage === stage)
+    .filter(({ lead }) => !tier || lead.tier === tier)
+    .filter(({ lead }) => !owner || lead.owner === owner)
+    .map(item => describe(item, now))
+    .filter(item => !stale || item.stale);
+};
+
+const get = (id) => {
+  const submission = sponsorshipSubmission(id);
+  return submission ? describe({ submission, lead: leadOf(submission) }) : null;
+};
+
+// Stale leads due a reminder: not reminded yet since their last activity, or
+// last reminded repeatHours ago
+const dueReminders = (repeatHours, now = new Date()) => list({ stale: true })
+  .filter(({ lead }) => !lead.remindedAt ||
+    lead.remindedAt < lead.lastActivityAt ||
+    now - new Date(lead.remindedAt) >= repeatHours * 60 * 60 * 1000);
+
+const markReminded = (ids, at = new Date().toISOString()) => ids.forEach(id => {
+  save({ ...leadOf(sponsorshipSubmission(id)), remindedAt: at });
+});
+
+// Sold and remaining packages per tier, with the waitlist oldest first
+const inventory = () => {
+  const leads = allLeads();
+  return tiers.map(tier => {
+    const inTier = leads.filter(({ lead }) => lead.tier === tier.code);
+    const sold = inTier.filter(({ lead }) => lead.stage === 'won').length;
+    return {
+      code: tier.code,
+      name: tier.name,
+      quantity: tier.quantity,
+      price: tier.price,
+      sold,
+      remaining: Math.max(tier.quantity - sold, 0),
+      open: inTier.filter(({ lead }) => !CLOSED_STAGES.includes(lead.stage)).length,
+      waitlist: inTier
+        .filter(({ lead }) => lead.waitlisted && !CLOSED_STAGES.includes(lead.stage))
+        .map(({ submission }) => ({ submissionId: submission.id, companyName: submission.payload.companyName, submittedAt: submission.createdAt }))
+        .reverse()
+    };
+  });
+};
+
+// Lead count and deal value per stage; weighted by each stage's probability
+const summary = () => {
+  const leads = allLeads();
+  const byStage = STAGES.map(stage => {
+    const inStage = leads.filter(({ lead }) => lead.stage === stage);
+    const value = inStage.reduce((sum, { lead }) => sum + (lead.value || 0), 0);
+    return {
+      stage,
+      count: inStage.length,
+      value,
+      probability: stages[stage].probability,
+      weightedValue: Math.round(value * stages[stage].probability)
+    };
+  });
+  const open = byStage.filter(row => !CLOSED_STAGES.includes(row.stage));
+  return {
+    currency: event.currency,
+    stages: byStage,
+    openValue: open.reduce((sum, row) => sum + row.value, 0),
+    weightedValue: open.reduce((sum, row) => sum + row.weightedValue, 0),
+    wonValue: byStage.find(row => row.stage === 'won').value,
+    stale: leads.filter(({ lead }) => staleReason(lead)).length
+  };
+};
+
+// What the website shows: each tier and whether any are left
+const publicTiers = () => inventory().map(tier => ({
+  code: tier.code,
+  name: tier.name,
+  available: tier.remaining > 0
+}));
+
+// Data privacy (lib/privacy.js): delete the submission's lead, or keep it
+// with the notes cleared. Returns whether there was one.
+const forgetSubmission = (submissionId, { anonymize = false } = {}) => {
+  const existing = store.get(submissionId);
+  if (!existing) return false;
+  if (anonymize) {
+    store.update(submissionId, {
+      notes: existing.notes.map(entry => ({ ...entry, note: null })),
+      history: existing.history.map(entry => ({ ...entry, note: null }))
+    });
+  } else {
+    store.remove(submissionId);
+  }
+  return true;
+};
+
+module.exports = {
+  STAGES,
+  TIER_CODES,
+  getTier,
+  matchTier,
+  prepare,
+  afterVerify: saveLead,
+  transition,
+  update,
+  addNote,
+  list,
+  get,
+  dueReminders,
+  markReminded,
+  inventory,
+  summary,
+  publicTiers,
+  forgetSubmission
+};
@@ -0,0 +1,101 @@
+// Follow-up reminders for stale sponsorship leads
+// Every reminders.intervalMinutes (config/sponsorship.js) the stale leads not
+// reminded about recently go to the sponsorship form's recipients in one
+// email. Texts are in locales/ (sponsorReminder.*) in the notification
+// locale, the markup in templates/sponsor-reminder/.
+
+const { logoBase64, notificationLocale } = require('./emails');
+const emailTemplates = require('./templates');
+const { t } = require('./i18n');
+const mailer = require('./mailer');
+const mailQueue = require('./mailQueue');
+const logger = require('./logger');
+const sponsorLeads = require('./sponsorLeads');
+const { getForm } = require('./forms');
+const { resolveRecipients } = require('./recipients');
+const { formatAmount } = require('./pricing');
+const { reminders, stages } = require('../config/sponsorship');
+const { event } = require('../config/races');
+
+const formatDate = (value, locale) => new Intl.DateTimeFormat(`${locale}-IN`, { timeZone: reminders.timezone, dateStyle: 'medium' })
+  .format(new Date(value));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One section per lead: who, what it's worth and why it needs attention
+const leadSection = (item, locale, now) => {
+  const tr = (key, params) => t(locale, `sponsorReminder.${key}`, params);
+  const { lead } = item;
+  const tier = sponsorLeads.getTier(lead.tier);
+  const reason = item.stale === 'follow_up_due'
+    ? tr('followUpDue', { date: formatDate(lead.nextFollowUpAt, locale) })
+    : tr('noActivity', { days: Math.floor((now - new Date(lead.lastActivityAt)) / DAY_MS), limit: stages[lead.stage].staleAfterDays });
+  return {
+    title: tr('lead', { company: item.companyName, stage: tr(`stages.${lead.stage}`) }),
+    items: [
+      reason,
+      tr('contact', { name: item.contactPerson, email: item.email }),
+      tier ? tr('tier', { tier: tier.name }) + (lead.waitlisted ? ` ${tr('waitlisted')}` : '') : null,
+      lead.value !== null ? tr('value', { value: formatAmount(lead.value * 100) }) : null,
+      lead.owner ? tr('owner', { owner: lead.owner }) : null,
+      tr('reference', { id: item.submissionId })
+    ].filter(Boolean)
+  };
+};
+
+// { subject, html, text } listing the leads
+const renderReminderEmail = (leads, now = new Date()) => {
+  const locale = notificationLocale();
+  const tr = (key, params) => t(locale, `sponsorReminder.${key}`, params);
+  return {
+    subject: tr('subject', { count: leads.length }),
+    ...emailTemplates.render('sponsor-reminder', {
+      locale,
+      heading: tr('heading'),
+      badge: event.name,
+      paragraphs: [tr('intro')],
+      sections: leads.map(item => leadSection(item, locale, now)),
+      logo: logoBase64(),
+      footerNote: tr('footerNote')
+    })
+  };
+};
+
+// Email the team about stale leads due a reminder; returns
+// { leads: [submissionId], message } (message null when nothing was due)
+const sendReminders = (now = new Date()) => {
+  const due = sponsorLeads.dueReminders(reminders.repeatHours, now);
+  if (due.length === 0) {
+    return { leads: [], message: null };
+  }
+  const form = getForm('sponsorship');
+  const { to, cc, bcc } = resolveRecipients(form.slug, {}, form.recipients);
+  const content = renderReminderEmail(due, now);
+  const message = mailQueue.enqueue({
+    from: `"Fitcover360 Marathon" <${mailer.defaultFromEmail()}>`,
+    to,
+    cc,
+    bcc,
+    subject: content.subject,
+    text: content.text,
+    html: content.html
+  }, { kind: 'sponsor-reminder' });
+  const ids = due.map(item => item.submissionId);
+  sponsorLeads.markReminded(ids, now.toISOString());
+  logger.info('Queued sponsorship follow-up reminder', { leads: ids.length, mailId: message.id });
+  return { leads: ids, message };
+};
+
+const reminderTimer = setInterval(() => {
+  try {
+    sendReminders();
+  } catch (error) {
+    logger.error('Sponsorship follow-up reminder failed', { error });
+  }
+}, reminders.intervalMinutes * 60 * 1000);
+reminderTimer.unref();
+
+module.exports = {
+  renderReminderEmail,
+  sendReminders
+};
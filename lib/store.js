@@ -0,0 +1,138 @@
+// Durable local storage
+// Each collection is an append-only JSON-lines file under DATA_DIR. Every write
+// appends the full record, so replaying the file (last line per id wins)
+// rebuilds the current state after a restart. Removals append a tombstone.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Every store created, for compactAll()
+const stores = [];
+
+const ensureDataDir = () => {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+};
+
+// Write and fsync so the record is on disk before the caller continues
+const appendLine = (file, line) => {
+  const fd = fs.openSync(file, 'a');
+  try {
+    fs.writeSync(fd, line + '\n');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Readiness check: DATA_DIR exists and a file can be written, synced and removed
+const checkStorage = () => {
+  try {
+    ensureDataDir();
+    const probe = path.join(DATA_DIR, `.ready-${process.pid}`);
+    appendLine(probe, new Date().toISOString());
+    fs.unlinkSync(probe);
+    return { ok: true, error: null, dataDir: DATA_DIR };
+  } catch (error) {
+    return { ok: false, error: error.message, dataDir: DATA_DIR };
+  }
+};
+
+const createStore = (name) => {
+  ensureDataDir();
+  const file = path.join(DATA_DIR, `${name}.jsonl`);
+  const records = new Map();
+  let lineCount = 0;
+
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        if (record._deleted) {
+          records.delete(record.id);
+        } else {
+          records.set(record.id, record);
+        }
+        lineCount++;
+      } catch (error) {
+        // A torn last line after a crash is expected; anything else is worth a warning
+        if (index < lines.length - 2) {
+          logger.warn('Skipping corrupt store line', { file, line: index + 1 });
+        }
+      }
+    });
+  }
+
+  // Rewrite the file with one line per record once superseded lines pile up
+  const compact = () => {
+    const tmpFile = `${file}.tmp`;
+    const content = Array.from(records.values()).map(record => JSON.stringify(record)).join('\n');
+    fs.writeFileSync(tmpFile, content ? content + '\n' : '');
+    fs.renameSync(tmpFile, file);
+    lineCount = records.size;
+  };
+
+  if (lineCount > records.size * 2 && lineCount > 100) {
+    compact();
+  }
+
+  const write = (record) => {
+    appendLine(file, JSON.stringify(record));
+    records.set(record.id, record);
+    lineCount++;
+    return record;
+  };
+
+  const store = {
+    name,
+    file,
+    insert: (record) => {
+      if (!record.id) {
+        throw new Error(`Cannot store a record without an id in "${name}"`);
+      }
+      if (records.has(record.id)) {
+        throw new Error(`Record ${record.id} already exists in "${name}"`);
+      }
+      return write(record);
+    },
+    update: (id, changes) => {
+      const existing = records.get(id);
+      if (!existing) {
+        return null;
+      }
+      const next = typeof changes === 'function' ? changes(existing) : { ...existing, ...changes };
+      return write({ ...next, id });
+    },
+    remove: (id) => {
+      if (!records.has(id)) {
+        return false;
+      }
+      appendLine(file, JSON.stringify({ id, _deleted: true }));
+      records.delete(id);
+      lineCount++;
+      return true;
+    },
+    get: (id) => records.get(id) || null,
+    all: () => Array.from(records.values()),
+    compact
+  };
+  stores.push(store);
+  return store;
+};
+
+// Rewrite every store file so removed and overwritten records no longer
+// appear in it (e.g. after erasing someone's data)
+const compactAll = () => stores.forEach(store => store.compact());
+
+module.exports = {
+  DATA_DIR,
+  createStore,
+  compactAll,
+  checkStorage
+};
@@ -0,0 +1,72 @@
+// Submission export
+// Turns stored submissions for one form into a table (CSV or XLSX) for
+// spreadsheets. Columns follow the form's fields and labels, the same way the
+// notification email presents them.
+
+const ExcelJS = require('exceljs');
+const { toCSV } = require('./csv');
+const { displayValue } = require('./emails');
+const { DEFAULT_LOCALE, fieldLabel } = require('./i18n');
+
+// Schema fields first, then anything else submitters sent (e.g. older fields)
+const columnKeys = (form, records) => {
+  const keys = Object.keys(form.schema.fields);
+  records.forEach(record => {
+    Object.keys(record.payload).forEach(key => {
+      if (!keys.includes(key) && key !== 'form_type') {
+        keys.push(key);
+      }
+    });
+  });
+  return keys;
+};
+
+const cellValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return displayValue(value);
+};
+
+const buildTable = (form, records) => {
+  const keys = columnKeys(form, records);
+  const headers = ['Submission ID', 'Submitted At']
+    .concat(keys.map(key => fieldLabel(DEFAULT_LOCALE, form, key)))
+    .concat(['Review Status', 'Review Note', 'Email Delivery']);
+  const rows = records.map(record => [record.id, record.createdAt]
+    .concat(keys.map(key => cellValue(record.payload[key])))
+    .concat([record.review.status, record.review.note || '', record.delivery.status]));
+  return { headers, rows };
+};
+
+const exportCSV = (form, records) => {
+  const { headers, rows } = buildTable(form, records);
+  return Buffer.from(toCSV([headers].concat(rows)), 'utf8');
+};
+
+const exportXLSX = async (form, records) => {
+  const { headers, rows } = buildTable(form, records);
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Fitcover360 Marathon';
+  workbook.created = new Date();
+  // Sheet names are limited to 31 characters and some punctuation
+  const sheet = workbook.addWorksheet(form.name.replace(/[\\/?*[\]:]/g, '').slice(0, 31));
+  sheet.addRow(headers);
+  rows.forEach(row => sheet.addRow(row));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.columns.forEach((column, index) => {
+    const longest = Math.max(...[headers[index]].concat(rows.map(row => row[index])).map(value => String(value).length));
+    column.width = Math.min(Math.max(longest + 2, 10), 60);
+  });
+  return workbook.xlsx.writeBuffer();
+};
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', build: exportCSV },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', build: exportXLSX }
+};
+
+module.exports = {
+  FORMATS,
+  buildTable
+};
@@ -0,0 +1,194 @@
+// Form submission records
+// Every submission is saved here before any email goes out, so a failed send
+// never loses the runner's data.
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+const store = createStore('submissions');
+
+// Organizer workflow states set from the admin API
+const REVIEW_STATUSES = ['new', 'reviewed', 'contacted', 'rejected'];
+
+// Payload fields covered by the admin full-text search
+const SEARCH_FIELDS = [
+  'name', 'firstName', 'lastName', 'contactPersonName', 'contactPerson',
+  'email', 'organizationName', 'companyName', 'company'
+];
+
+// form is a registry entry from lib/forms.js; extras are form-specific
+// top-level fields such as a roster summary
+const create = (form, payload, extras = {}) => {
+  const now = new Date().toISOString();
+  return store.insert({
+    ...extras,
+    id: crypto.randomUUID(),
+    formType: form.name,
+    formSlug: form.slug,
+    createdAt: now,
+    updatedAt: now,
+    payload,
+    delivery: {
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      deliveredAt: null
+    },
+    review: {
+      status: 'new',
+      note: null,
+      updatedAt: null,
+      history: []
+    }
+  });
+};
+
+// Records saved before review tracking existed have no review block
+const reviewOf = (record) => record.review || { status: 'new', note: null, updatedAt: null, history: [] };
+
+const setReviewStatus = (id, status, { note = null, by = 'admin' } = {}) => {
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new Error(`Unknown review status "${status}"`);
+  }
+  return store.update(id, record => {
+    const review = reviewOf(record);
+    const now = new Date().toISOString();
+    return {
+      ...record,
+      updatedAt: now,
+      review: {
+        status,
+        note,
+        updatedAt: now,
+        history: review.history.concat({ from: review.status, to: status, note, by, at: now })
+      }
+    };
+  });
+};
+
+const matchesSearch = (record, terms) => {
+  const haystack = SEARCH_FIELDS
+    .map(field => record.payload[field])
+    .filter(value => value !== undefined && value !== null)
+    .join(' ')
+    .toLowerCase();
+  return terms.every(term => haystack.includes(term));
+};
+
+// Filter and search, newest first.
+// from/to are Date objects (inclusive); form matches the slug or display name.
+// verificationStatus matches the email double opt-in state.
+const filter = ({ form, from, to, q, status, deliveryStatus, verificationStatus } = {}) => {
+  const terms = q ? q.toLowerCase().split(/\s+/).filter(Boolean) : [];
+  return store.all()
+    .filter(record => !form || record.formSlug === form || record.formType === form)
+    .filter(record => !from || new Date(record.createdAt) >= from)
+    .filter(record => !to || new Date(record.createdAt) <= to)
+    .filter(record => !status || reviewOf(record).status === status)
+    .filter(record => !deliveryStatus || record.delivery.status === deliveryStatus)
+    .filter(record => !verificationStatus || (record.verification && record.verification.status === verificationStatus))
+    .filter(record => terms.length === 0 || matchesSearch(record, terms))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(record => ({ ...record, review: reviewOf(record) }));
+};
+
+// One page of filter() results
+const query = ({ page = 1, limit = 20, ...criteria } = {}) => {
+  const matches = filter(criteria);
+  return {
+    total: matches.length,
+    page,
+    limit,
+    pages: Math.ceil(matches.length / limit),
+    items: matches.slice((page - 1) * limit, page * limit)
+  };
+};
+
+const updateDelivery = (id, changes) => store.update(id, record => ({
+  ...record,
+  updatedAt: new Date().toISOString(),
+  delivery: { ...record.delivery, ...changes }
+}));
+
+const markDelivered = (id) => {
+  const record = store.get(id);
+  if (!record) return null;
+  return updateDelivery(id, {
+    status: 'sent',
+    attempts: record.delivery.attempts + 1,
+    deliveredAt: new Date().toISOString(),
+    lastError: null
+  });
+};
+
+// A failed attempt leaves the message queued for retry unless it was dead-lettered
+const markDeliveryFailed = (id, errorMessage, { deadLetter = false } = {}) => {
+  const record = store.get(id);
+  if (!record) return null;
+  return updateDelivery(id, {
+    status: deadLetter ? 'dead_letter' : 'retrying',
+    attempts: record.delivery.attempts + 1,
+    lastError: errorMessage
+  });
+};
+
+const markDeliveryRequeued = (id) => updateDelivery(id, { status: 'pending' });
+
+// Clear the personal data from a submission, keeping it for statistics:
+// the payload keeps booleans and the keepFields, the consent record loses the
+// IP address and uploaded files are dropped (the caller removes the files).
+const anonymize = (id, keepFields = []) => store.update(id, ({ files, ...record }) => {
+  const payload = {};
+  Object.keys(record.payload).forEach(key => {
+    if (typeof record.payload[key] === 'boolean' || keepFields.includes(key)) {
+      payload[key] = record.payload[key];
+    }
+  });
+  const now = new Date().toISOString();
+  return {
+    ...record,
+    payload,
+    consent: record.consent ? { ...record.consent, ip: null } : record.consent,
+    anonymizedAt: now,
+    updatedAt: now
+  };
+});
+
+// Email double opt-in (lib/emailVerification.js): the address is confirmed,
+// or the form doesn't ask for it. Tickets, leads and roster registrations are
+// only made from confirmed submissions.
+const isConfirmed = (record) => !record.verification || record.verification.status === 'verified';
+
+// Whether the submitter can be acted on and emailed: confirmed and not
+// anonymized (lib/privacy.js)
+const isReachable = (record) => isConfirmed(record) && !record.anonymizedAt;
+
+// Email double opt-in state (lib/emailVerification.js)
+const updateVerification = (id, changes) => store.update(id, record => ({
+  ...record,
+  updatedAt: new Date().toISOString(),
+  verification: { ...record.verification, ...changes }
+}));
+
+const get = (id) => {
+  const record = store.get(id);
+  return record ? { ...record, review: reviewOf(record) } : null;
+};
+
+module.exports = {
+  REVIEW_STATUSES,
+  create,
+  get,
+  all: store.all,
+  filter,
+  query,
+  setReviewStatus,
+  markDelivered,
+  markDeliveryFailed,
+  markDeliveryRequeued,
+  updateVerification,
+  isConfirmed,
+  isReachable,
+  anonymize,
+  remove: store.remove
+};
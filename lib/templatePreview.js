@@ -0,0 +1,51 @@
+// Email template previews
+// Renders a template for one form with sample data built from the form's
+// schema (or with data supplied by the caller), for the admin preview endpoint.
+
+const { renderNotification } = require('./emails');
+const { renderConfirmation, templates: confirmationTexts } = require('./confirmations');
+const templates = require('./templates');
+const { DEFAULT_LOCALE, fieldLabel } = require('./i18n');
+
+const sampleValue = (form, key, rule) => {
+  if (rule.oneOf) return rule.oneOf[0];
+  switch (rule.type) {
+    case 'boolean': return true;
+    case 'integer': return Math.max(rule.min || 0, Math.min(rule.max || 25, 25));
+    case 'email': return 'jane.doe@example.com';
+    case 'phone': return '+91 98765 43210';
+    case 'url': return 'https://example.com';
+    case 'date': return '2026-01-18';
+    default: break;
+  }
+  // People's names; organization and company names fall through
+  if (key === 'name' || /^(firstName|lastName|contactPerson|contactPersonName)$/.test(key)) return 'Jane Doe';
+  return `Sample ${fieldLabel('en', form, key).toLowerCase()}`;
+};
+
+const sampleData = (form) => {
+  const data = {};
+  Object.keys(form.schema.fields).forEach(key => {
+    data[key] = sampleValue(form, key, form.schema.fields[key]);
+  });
+  return data;
+};
+
+// Returns { subject, html, text }, or null when the form has no such email
+const preview = (name, form, { data = sampleData(form), locale = DEFAULT_LOCALE } = {}) => {
+  if (name === 'notification') {
+    return renderNotification(form, data, { locale });
+  }
+  if (name === 'confirmation') {
+    return confirmationTexts[form.slug] ? renderConfirmation(form.slug, data, locale) : null;
+  }
+  if (!templates.exists(name)) {
+    return null;
+  }
+  return { subject: null, ...templates.render(name, { locale, data, form: { slug: form.slug, name: form.name } }, { slug: form.slug }) };
+};
+
+module.exports = {
+  sampleData,
+  preview
+};
@@ -0,0 +1,104 @@
+// Email templates
+// Emails are Handlebars templates under templates/ (EMAIL_TEMPLATES_DIR):
+//
+//   layouts/main.hbs            page shell, wraps every HTML email
+//   partials/*.hbs              header, logo, footer ({{> header}})
+//   styles.css                  inlined into the HTML so Gmail/Outlook keep it
+//   <name>/default.html.hbs     HTML body, e.g. notification/default.html.hbs
+//   <name>/default.text.hbs     plain-text version
+//   <name>/<slug>.html.hbs      per-form override, same for .text.hbs
+//
+// Files are re-read when they change, so templates can be edited without a
+// restart. HTML templates escape values; text templates don't. Fixed texts
+// come from the locale files through the t helper: {{t "footer.rights"}}.
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const juice = require('juice');
+const i18n = require('./i18n');
+
+const TEMPLATES_DIR = process.env.EMAIL_TEMPLATES_DIR || path.join(__dirname, '..', 'templates');
+const NAME_PATTERN = /^[a-z0-9-]+$/;
+
+const html = Handlebars.create();
+const text = Handlebars.create();
+[html, text].forEach(engine => {
+  engine.registerHelper('upper', (value) => String(value || '').toUpperCase());
+  // {{t "notification.details"}} in the email's locale (context.locale)
+  engine.registerHelper('t', (key, options) => i18n.t(options.data.root.locale || i18n.DEFAULT_LOCALE, key, options.hash));
+});
+
+// path -> { mtimeMs, value }
+const cache = new Map();
+
+const loadFile = (filePath, build) => {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.value;
+  }
+  const value = build(fs.readFileSync(filePath, 'utf8'));
+  cache.set(filePath, { mtimeMs, value });
+  return value;
+};
+
+const compileFile = (engine, filePath, options = {}) => loadFile(filePath, source => engine.compile(source, options));
+
+const registerPartials = () => {
+  const dir = path.join(TEMPLATES_DIR, 'partials');
+  fs.readdirSync(dir).filter(file => file.endsWith('.hbs')).forEach(file => {
+    const source = loadFile(path.join(dir, file), content => content);
+    html.registerPartial(path.basename(file, '.hbs'), source);
+  });
+};
+
+// Per-form file when there is one, else the default
+const findTemplate = (name, slug, extension) => {
+  if (!NAME_PATTERN.test(name) || (slug && !NAME_PATTERN.test(slug))) {
+    return null;
+  }
+  const candidates = (slug ? [`${slug}.${extension}.hbs`] : []).concat(`default.${extension}.hbs`);
+  return candidates
+    .map(file => path.join(TEMPLATES_DIR, name, file))
+    .find(filePath => fs.existsSync(filePath)) || null;
+};
+
+// Template names (directories with a default.html.hbs) and their per-form overrides
+const listTemplates = () => fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+  .filter(entry => entry.isDirectory() && fs.existsSync(path.join(TEMPLATES_DIR, entry.name, 'default.html.hbs')))
+  .map(entry => ({
+    name: entry.name,
+    overrides: Array.from(new Set(fs.readdirSync(path.join(TEMPLATES_DIR, entry.name))
+      .map(file => file.replace(/\.(html|text)\.hbs$/, ''))
+      .filter(file => file !== 'default' && NAME_PATTERN.test(file))))
+  }));
+
+const exists = (name) => Boolean(findTemplate(name, null, 'html'));
+
+// Render one template as { html, text }. context is shared by the body, the
+// layout and the partials; slug selects a per-form override.
+const render = (name, context, { slug } = {}) => {
+  const htmlPath = findTemplate(name, slug, 'html');
+  if (!htmlPath) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  registerPartials();
+  const styles = loadFile(path.join(TEMPLATES_DIR, 'styles.css'), content => content);
+  const layout = compileFile(html, path.join(TEMPLATES_DIR, 'layouts', 'main.hbs'));
+  const data = { year: new Date().getFullYear(), locale: i18n.DEFAULT_LOCALE, ...context };
+  const body = compileFile(html, htmlPath)(data);
+
+  const textPath = findTemplate(name, slug, 'text');
+  return {
+    html: juice(layout({ ...data, styles, body })),
+    text: textPath ? compileFile(text, textPath, { noEscape: true })(data).trim() : ''
+  };
+};
+
+module.exports = {
+  TEMPLATES_DIR,
+  listTemplates,
+  exists,
+  render
+};
@@ -0,0 +1,114 @@
+// Contact ticket emails
+// Staff replies go to the requester from the shared mailbox (the sending
+// account), in their language, with the ticket reference in the subject and
+// Message-ID / In-Reply-To headers so mail clients thread the conversation.
+// Replies the requester emails back alert the contact form's recipients.
+// Texts are in locales/ (ticket.*), the markup in templates/ticket/
+// (templates/ticket/inbound.html.hbs overrides the staff alert).
+
+const { logoBase64, notificationLocale } = require('./emails');
+const emailTemplates = require('./templates');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+const mailer = require('./mailer');
+const mailQueue = require('./mailQueue');
+const tickets = require('./tickets');
+const { getForm } = require('./forms');
+const { resolveRecipients } = require('./recipients');
+const { event } = require('../config/races');
+
+const paragraphs = (body) => String(body).split(/\n\s*\n/).map(part => part.trim()).filter(Boolean);
+
+const subjectOf = (ticket, locale) => ticket.subject || t(locale, 'ticket.defaultSubject');
+
+const emailMessageId = (ticket, message) => `<${ticket.reference}.${message.id}@${mailer.defaultFromEmail().split('@')[1]}>`;
+
+// { subject, html, text } for a staff reply
+const renderReply = (ticket, message) => {
+  const locale = ticket.locale || DEFAULT_LOCALE;
+  const tr = (key, params) => t(locale, `ticket.${key}`, params);
+  const { name } = ticket.requester;
+  return {
+    subject: `Re: ${subjectOf(ticket, locale)} [${ticket.reference}]`,
+    ...emailTemplates.render('ticket', {
+      locale,
+      heading: tr('heading'),
+      badge: event.name,
+      paragraphs: [name ? t(locale, 'confirmation.greeting', { name }) : t(locale, 'confirmation.greetingAnonymous')]
+        .concat(paragraphs(message.body)),
+      details: [{ label: tr('reference'), value: ticket.reference }],
+      note: tr(ticket.status === 'closed' ? 'closedNote' : 'replyNote', { reference: ticket.reference }),
+      logo: logoBase64(),
+      footerNote: t(locale, 'confirmation.footerNote')
+    })
+  };
+};
+
+// Threading headers: this message replies to the last one we know the id of
+const threadHeaders = (ticket, message) => {
+  const known = ticket.messages.filter(item => item.id !== message.id && item.messageId).map(item => item.messageId);
+  const headers = { messageId: emailMessageId(ticket, message) };
+  if (known.length > 0) {
+    headers.inReplyTo = known[known.length - 1];
+    headers.references = known;
+  }
+  return headers;
+};
+
+// Queue a reply from tickets.addReply(); returns the queued message
+const queueReply = ({ ticket, message }) => {
+  const content = renderReply(ticket, message);
+  const headers = threadHeaders(ticket, message);
+  const queued = mailQueue.enqueue({
+    from: `"Fitcover360 Marathon Support" <${mailer.defaultFromEmail()}>`,
+    to: ticket.requester.email,
+    subject: content.subject,
+    text: content.text,
+    html: content.html,
+    ...headers
+  }, { kind: 'ticket-reply' });
+  tickets.recordDelivery(ticket.id, message.id, { mailId: queued.id, emailMessageId: headers.messageId });
+  return queued;
+};
+
+// { subject, html, text } telling staff the requester replied
+const renderInboundAlert = (ticket, message) => {
+  const locale = notificationLocale();
+  const tr = (key, params) => t(locale, `ticket.inbound.${key}`, params);
+  const requester = ticket.requester.name || ticket.requester.email;
+  return {
+    subject: tr('subject', { reference: ticket.reference, subject: subjectOf(ticket, locale) }),
+    ...emailTemplates.render('ticket', {
+      locale,
+      heading: tr('heading'),
+      badge: event.name,
+      paragraphs: [tr('intro', { name: requester, reference: ticket.reference })].concat(paragraphs(message.body)),
+      details: [
+        { label: tr('from'), value: message.from },
+        { label: t(locale, 'ticket.reference'), value: ticket.reference },
+        { label: tr('messages'), value: String(ticket.messages.length) }
+      ],
+      note: tr('answer', { reference: ticket.reference }),
+      logo: logoBase64(),
+      footerNote: t(locale, 'notification.footerNote')
+    }, { slug: 'inbound' })
+  };
+};
+
+const queueInboundAlert = ({ ticket, message }) => {
+  const form = getForm('contact');
+  const content = renderInboundAlert(ticket, message);
+  return mailQueue.enqueue({
+    from: `"${form.name}" <${mailer.defaultFromEmail()}>`,
+    ...resolveRecipients(form.slug, {}, form.recipients),
+    subject: content.subject,
+    text: content.text,
+    html: content.html
+  }, { kind: 'ticket-inbound' });
+};
+
+module.exports = {
+  renderReply,
+  queueReply,
+  renderInboundAlert,
+  queueInboundAlert
+};
@@ -0,0 +1,292 @@
+// Contact tickets
+// Every contact form submission opens a ticket with a reference number
+// (FC-10001, FC-10002, ...) that goes in the subject of every email about it.
+// The conversation is kept on the ticket as messages: the original message and
+// the requester's emailed replies come in ('inbound'), staff replies go out
+// from the shared mailbox ('outbound').
+//
+//   open     waiting on staff: new tickets and tickets the requester replied to
+//   pending  waiting on the requester: after a staff reply
+//   closed   resolved; a reply from the requester reopens it
+//
+// Inbound email is matched to its ticket by the reference in the subject,
+// then by the Message-IDs it replies to, then by a reference in the body.
+// A reference is easy to copy, so mail from someone other than the requester
+// that only carries one is held on the ticket for staff instead of reopening it.
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const submissions = require('./submissions');
+
+const store = createStore('tickets');
+
+const STATUSES = ['open', 'pending', 'closed'];
+const PREFIX = 'FC';
+const FIRST_NUMBER = 10001;
+const REFERENCE_PATTERN = new RegExp(`\\b${PREFIX}-(\\d{5,})\\b`, 'i');
+const MAX_BODY = 10000;
+
+const failure = (status, code, message) => ({ error: { status, code, message } });
+
+// Numbers handed out but possibly not saved yet, so two submissions in
+// flight never share one
+let lastIssued = 0;
+
+const nextReference = () => {
+  const highest = store.all().reduce((max, ticket) => Math.max(max, parseInt(ticket.reference.slice(PREFIX.length + 1), 10)), FIRST_NUMBER - 1);
+  lastIssued = Math.max(lastIssued, highest) + 1;
+  return `${PREFIX}-${lastIssued}`;
+};
+
+const findReference = (text) => {
+  const match = String(text || '').match(REFERENCE_PATTERN);
+  return match ? `${PREFIX}-${match[1]}` : null;
+};
+
+// By reference (any case) or id
+const get = (key) => {
+  const reference = findReference(key);
+  return store.all().find(ticket => ticket.id === key || (reference && ticket.reference === reference)) || null;
+};
+
+const message = (fields, now) => ({
+  id: crypto.randomUUID(),
+  messageId: null,
+  mailId: null,
+  ...fields,
+  body: String(fields.body || '').slice(0, MAX_BODY),
+  at: now
+});
+
+const statusChange = (ticket, status, by, now) => (status === ticket.status ? {} : {
+  status,
+  closedAt: status === 'closed' ? now : null,
+  history: ticket.history.concat({ from: ticket.status, to: status, by, at: now })
+});
+
+// Open a ticket for a saved contact submission
+const open = ({ reference, submission, name, email, subject, body, locale }) => {
+  const now = new Date().toISOString();
+  return store.insert({
+    id: crypto.randomUUID(),
+    reference,
+    submissionId: submission.id,
+    status: 'open',
+    subject: subject || null,
+    requester: { name: name || null, email },
+    locale: locale || null,
+    messages: [message({ direction: 'inbound', from: email, body }, now)],
+    history: [],
+    createdAt: now,
+    updatedAt: now,
+    closedAt: null
+  });
+};
+
+// Open the ticket for a confirmed contact submission, from what it saved
+const openFor = (submission) => {
+  const { firstName, lastName, email, subject, message: body } = submission.payload;
+  return open({
+    reference: submission.ticketReference,
+    submission,
+    name: [firstName, lastName].filter(Boolean).join(' '),
+    email,
+    subject,
+    body,
+    locale: submission.locale
+  });
+};
+
+// Form hook for the contact form: the reference is handed out before saving
+// so the notification and confirmation subjects can carry it. A submission
+// waiting for email verification gets its ticket once confirmed (afterVerify),
+// so staff never write to an unconfirmed address.
+const prepare = () => {
+  const reference = nextReference();
+  return {
+    record: { ticketReference: reference },
+    subjectTag: `[${reference}]`,
+    confirmationFields: { ticketReference: reference },
+    afterSave: (submission) => {
+      if (!submissions.isConfirmed(submission)) {
+        return { ticket: { reference, status: null } };
+      }
+      const ticket = openFor(submission);
+      return { ticket: { reference: ticket.reference, status: ticket.status } };
+    }
+  };
+};
+
+// Add a staff reply and set the status (pending unless given). Returns
+// { ticket, message } or { error }. The email goes out separately
+// (lib/ticketNotifications.js), which records its mail and Message-ID.
+const addReply = (key, body, { status = 'pending', by = 'admin' } = {}) => {
+  const ticket = get(key);
+  if (!ticket) {
+    return failure(404, 'ticket_not_found', 'Ticket not found');
+  }
+  if (!STATUSES.includes(status)) {
+    return failure(400, 'invalid_status', `Status must be one of: ${STATUSES.join(', ')}`);
+  }
+  const now = new Date().toISOString();
+  const reply = message({ direction: 'outbound', from: by, body }, now);
+  const updated = store.update(ticket.id, {
+    ...statusChange(ticket, status, by, now),
+    messages: ticket.messages.concat(reply),
+    updatedAt: now
+  });
+  return { ticket: updated, message: reply };
+};
+
+const recordDelivery = (ticketId, messageId, { mailId, emailMessageId }) => store.update(ticketId, ticket => ({
+  ...ticket,
+  messages: ticket.messages.map(item => (item.id === messageId ? { ...item, mailId, messageId: emailMessageId } : item))
+}));
+
+const setStatus = (key, status, { by = 'admin' } = {}) => {
+  const ticket = get(key);
+  if (!ticket) {
+    return failure(404, 'ticket_not_found', 'Ticket not found');
+  }
+  if (!STATUSES.includes(status)) {
+    return failure(400, 'invalid_status', `Status must be one of: ${STATUSES.join(', ')}`);
+  }
+  if (status === ticket.status) {
+    return { ticket };
+  }
+  const now = new Date().toISOString();
+  return { ticket: store.update(ticket.id, { ...statusChange(ticket, status, by, now), updatedAt: now }) };
+};
+
+// Message-IDs look like <id@host>; headers may list several. A lone id
+// without the brackets is accepted too.
+const messageIds = (value) => {
+  const text = String(value || '').trim();
+  const ids = text.match(/<[^<>\s]+>/g);
+  if (ids) return ids;
+  return text && !/\s/.test(text) ? [`<${text}>`] : [];
+};
+
+// { ticket, byMessageId } or null; byMessageId when the email replies to one
+// of the ticket's own messages
+const threadOf = (email) => {
+  const repliedTo = messageIds(email.inReplyTo).concat(messageIds(email.references));
+  const repliesTo = (ticket) => ticket.messages.some(entry => entry.messageId && repliedTo.includes(entry.messageId));
+  const fromSubject = findReference(email.subject) && get(findReference(email.subject));
+  if (fromSubject) {
+    return { ticket: fromSubject, byMessageId: repliesTo(fromSubject) };
+  }
+  if (repliedTo.length > 0) {
+    const ticket = store.all().find(repliesTo);
+    if (ticket) return { ticket, byMessageId: true };
+  }
+  const fromBody = findReference(email.text) && get(findReference(email.text));
+  return fromBody ? { ticket: fromBody, byMessageId: false } : null;
+};
+
+// Drop the quoted conversation below a reply
+const stripQuoted = (text) => {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const cut = lines.findIndex(line => /^On .+wrote:\s*$/.test(line.trim()) || /^-{2,}\s*Original Message/i.test(line.trim()));
+  return (cut === -1 ? lines : lines.slice(0, cut))
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .trim();
+};
+
+// Thread an inbound email: { from, subject, text, messageId, inReplyTo,
+// references }. Returns { ticket, message, duplicate } or null when it
+// belongs to no ticket. The ticket is (re)opened, unless the message is held
+// (message.held): sent by someone else and matched only by the reference.
+// Anonymized tickets have no requester left and take no new mail, so a reply
+// isn't kept there.
+const receive = (email) => {
+  const thread = threadOf(email);
+  if (!thread || !thread.ticket.requester.email) {
+    return null;
+  }
+  const { ticket } = thread;
+  const emailMessageId = messageIds(email.messageId)[0] || null;
+  const existing = emailMessageId && ticket.messages.find(item => item.messageId === emailMessageId);
+  if (existing) {
+    return { ticket, message: existing, duplicate: true };
+  }
+  const now = new Date().toISOString();
+  const from = String(email.from || '').toLowerCase();
+  // Someone else on the thread (a colleague in cc) may answer too
+  const fromRequester = from.includes(ticket.requester.email.toLowerCase());
+  const held = !fromRequester && !thread.byMessageId;
+  const reply = message({
+    direction: 'inbound',
+    from: email.from || null,
+    fromRequester,
+    held,
+    subject: email.subject || null,
+    messageId: emailMessageId,
+    body: stripQuoted(email.text) || String(email.text || '').trim()
+  }, now);
+  const updated = store.update(ticket.id, {
+    ...(held ? {} : statusChange(ticket, 'open', 'requester', now)),
+    messages: ticket.messages.concat(reply),
+    updatedAt: now
+  });
+  return { ticket: updated, message: reply, duplicate: false };
+};
+
+const summarize = (ticket) => {
+  const last = ticket.messages[ticket.messages.length - 1];
+  return {
+    id: ticket.id,
+    reference: ticket.reference,
+    status: ticket.status,
+    subject: ticket.subject,
+    requester: ticket.requester,
+    messages: ticket.messages.length,
+    heldMessages: ticket.messages.filter(item => item.held).length,
+    lastMessageAt: last.at,
+    lastDirection: last.direction,
+    createdAt: ticket.createdAt,
+    updatedAt: ticket.updatedAt
+  };
+};
+
+// Data privacy (lib/privacy.js): delete the submission's tickets, or keep
+// them with the requester and message texts cleared. Returns how many.
+const forgetSubmission = (submissionId, { anonymize = false } = {}) => {
+  const found = store.all().filter(ticket => ticket.submissionId === submissionId);
+  found.forEach(ticket => {
+    if (!anonymize) {
+      store.remove(ticket.id);
+      return;
+    }
+    store.update(ticket.id, {
+      subject: null,
+      requester: { name: null, email: null },
+      messages: ticket.messages.map(item => ({ ...item, from: item.direction === 'inbound' ? null : item.from, subject: null, body: '' })),
+      updatedAt: new Date().toISOString()
+    });
+  });
+  return found.length;
+};
+
+// Tickets, most recently active first: { status, email }
+const list = ({ status, email } = {}) => store.all()
+  .filter(ticket => !status || ticket.status === status)
+  .filter(ticket => !email || String(ticket.requester.email).toLowerCase() === String(email).toLowerCase())
+  .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  .map(summarize);
+
+module.exports = {
+  STATUSES,
+  nextReference,
+  findReference,
+  get,
+  prepare,
+  afterVerify: openFor,
+  addReply,
+  recordDelivery,
+  setStatus,
+  receive,
+  forgetSubmission,
+  list
+};
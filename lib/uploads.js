@@ -0,0 +1,129 @@
+// Multipart uploads for forms
+// Forms that declare `uploads` in config/forms.js accept multipart/form-data.
+// Files are kept in memory (req.files[field][0]) and checked against the
+// declared size and extension limits; JSON and urlencoded bodies pass through.
+//
+//   uploads: [{ field: 'roster', maxBytes: 2 * 1024 * 1024, extensions: ['.csv', '.xlsx'] }]
+//
+// Image uploads add an `image` spec. Their type is detected from the file
+// content and their dimensions are checked. Older clients that send the image
+// as a base64 data URL in a JSON body are converted to the same upload.
+//
+//   image: { types: ['jpeg', 'png'], minWidth, minHeight, maxWidth, maxHeight }
+
+const path = require('path');
+const multer = require('multer');
+const { imageSize } = require('image-size');
+
+const IMAGE_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+const DATA_URL_PATTERN = /^data:(image\/[a-z+.-]+);base64,([a-z0-9+/=\s]+)$/i;
+
+const fileError = (field, code, message) => ({
+  success: false,
+  error: 'Validation failed',
+  errors: [{ field, code, message }]
+});
+
+// Turn a base64 data URL body field into an in-memory upload
+const fromDataURL = (req, spec) => {
+  const value = req.body && req.body[spec.field];
+  if (typeof value !== 'string') return;
+  const match = value.trim().match(DATA_URL_PATTERN);
+  if (!match) return;
+  const buffer = Buffer.from(match[2], 'base64');
+  const extension = match[1].split('/')[1].replace('jpeg', 'jpg');
+  req.files = req.files || {};
+  req.files[spec.field] = [{
+    fieldname: spec.field,
+    originalname: `${spec.field}.${extension}`,
+    mimetype: match[1],
+    buffer,
+    size: buffer.length
+  }];
+  delete req.body[spec.field];
+};
+
+// Returns an error body, or null and annotates file.image when the image is acceptable
+const checkImage = (file, spec) => {
+  let info;
+  try {
+    info = imageSize(file.buffer);
+  } catch (error) {
+    return fileError(spec.field, 'invalid_image', 'File is not a readable image');
+  }
+  const allowed = spec.image.types || ['jpeg', 'png', 'webp'];
+  const type = info.type === 'jpg' ? 'jpeg' : info.type;
+  if (!allowed.includes(type)) {
+    return fileError(spec.field, 'invalid_file_type', `Image must be one of: ${allowed.join(', ')}`);
+  }
+  const { minWidth = 1, minHeight = 1, maxWidth = Infinity, maxHeight = Infinity } = spec.image;
+  if (info.width < minWidth || info.height < minHeight) {
+    return fileError(spec.field, 'image_too_small', `Image must be at least ${minWidth}x${minHeight} pixels`);
+  }
+  if (info.width > maxWidth || info.height > maxHeight) {
+    return fileError(spec.field, 'image_too_large', `Image must be at most ${maxWidth}x${maxHeight} pixels`);
+  }
+  file.mimetype = IMAGE_MIME_TYPES[info.type];
+  file.image = { type, width: info.width, height: info.height };
+  return null;
+};
+
+const checkFile = (file, spec) => {
+  if (file.size > spec.maxBytes) {
+    return fileError(spec.field, 'file_too_large', `File must be at most ${Math.round(spec.maxBytes / 1024)} KB`);
+  }
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (spec.extensions && !spec.extensions.includes(extension)) {
+    return fileError(spec.field, 'invalid_file_type', `File must be one of: ${spec.extensions.join(', ')}`);
+  }
+  return spec.image ? checkImage(file, spec) : null;
+};
+
+const parseUploads = (form) => {
+  const specs = form.uploads || [];
+  if (specs.length === 0) {
+    return (req, res, next) => next();
+  }
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: Math.max(...specs.map(spec => spec.maxBytes)),
+      files: specs.length,
+      fieldSize: 100 * 1024
+    }
+  }).fields(specs.map(spec => ({ name: spec.field, maxCount: 1 })));
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        if (error instanceof multer.MulterError) {
+          const code = error.code === 'LIMIT_FILE_SIZE' ? 'file_too_large' : 'invalid_upload';
+          return res.status(400).json(fileError(error.field || 'file', code, error.message));
+        }
+        return next(error);
+      }
+
+      for (const spec of specs) {
+        if (spec.image) {
+          fromDataURL(req, spec);
+        }
+        const file = req.files && req.files[spec.field] && req.files[spec.field][0];
+        if (!file) continue;
+        const problem = checkFile(file, spec);
+        if (problem) {
+          return res.status(400).json(problem);
+        }
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  parseUploads
+};
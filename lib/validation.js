@@ -0,0 +1,158 @@
+// Form validation
+// Each form declares a schema in config/forms.js; the middleware rejects a
+// submission with a 400 listing every failing field so the frontend can
+// highlight inputs.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// Digits with optional leading +, spaces, dashes, dots and parentheses (7-15 digits)
+const PHONE_PATTERN = /^\+?[\d\s\-().]+$/;
+const URL_PATTERN = /^(https?:\/\/)?[\w-]+(\.[\w-]+)+([/?#][^\s]*)?$/i;
+const TRUE_VALUES = [true, 'true', 'on', 'yes', '1', 1];
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Field checks, run in order; the first failing check wins
+const checkField = (value, rule) => {
+  if (rule.type === 'boolean') {
+    if (rule.mustBeTrue && !TRUE_VALUES.includes(value)) {
+      return { code: 'must_accept', message: 'Must be accepted' };
+    }
+    return null;
+  }
+
+  if (rule.type === 'integer') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || String(value).trim() === '') {
+      return { code: 'invalid_integer', message: 'Must be a whole number' };
+    }
+    if (rule.min !== undefined && number < rule.min) {
+      return { code: 'too_small', message: `Must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && number > rule.max) {
+      return { code: 'too_large', message: `Must be at most ${rule.max}` };
+    }
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    return { code: 'invalid_type', message: 'Must be text' };
+  }
+
+  const trimmed = value.trim();
+  if (rule.maxLength && trimmed.length > rule.maxLength) {
+    return { code: 'too_long', message: `Must be at most ${rule.maxLength} characters` };
+  }
+
+  switch (rule.type) {
+    case 'email':
+      if (!EMAIL_PATTERN.test(trimmed)) {
+        return { code: 'invalid_email', message: 'Must be a valid email address' };
+      }
+      break;
+    case 'phone': {
+      const digits = trimmed.replace(/\D/g, '');
+      if (!PHONE_PATTERN.test(trimmed) || digits.length < 7 || digits.length > 15) {
+        return { code: 'invalid_phone', message: 'Must be a valid phone number' };
+      }
+      break;
+    }
+    case 'url':
+      if (!URL_PATTERN.test(trimmed)) {
+        return { code: 'invalid_url', message: 'Must be a valid website URL' };
+      }
+      break;
+    case 'date':
+      if (!parseDate(trimmed)) {
+        return { code: 'invalid_date', message: 'Must be a valid date' };
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(trimmed)) {
+    return { code: 'invalid_choice', message: `Must be one of: ${rule.oneOf.join(', ')}` };
+  }
+
+  return null;
+};
+
+// Cross-field rule: start date must not be after end date
+const dateRange = (startField, endField) => (formData) => {
+  const start = parseDate(formData[startField]);
+  const end = parseDate(formData[endField]);
+  if (start && end && start > end) {
+    return { field: endField, code: 'date_range', message: `Must be on or after ${startField}` };
+  }
+  return null;
+};
+
+// Common field rules for form declarations (config/forms.js)
+const fields = {
+  NAME: { type: 'string', maxLength: 100 },
+  EMAIL: { type: 'email', maxLength: 254 },
+  PHONE: { type: 'phone', maxLength: 20 },
+  SHORT_TEXT: { type: 'string', maxLength: 200 },
+  LONG_TEXT: { type: 'string', maxLength: 2000 }
+};
+
+// Returns a list of { field, code, message }; empty when the submission is valid
+const validateSubmission = (schema, formData) => {
+  const data = formData || {};
+  const errors = [];
+
+  Object.keys(schema.fields).forEach(field => {
+    const rule = schema.fields[field];
+    const value = data[field];
+
+    if (isEmpty(value)) {
+      if (rule.required) {
+        errors.push({ field, code: 'required', message: 'This field is required' });
+      }
+      return;
+    }
+
+    const error = checkField(value, rule);
+    if (error) {
+      errors.push({ field, ...error });
+    }
+  });
+
+  (schema.rules || []).forEach(rule => {
+    const error = rule(data);
+    // Skip cross-field errors on fields that already failed on their own
+    if (error && !errors.some(e => e.field === error.field)) {
+      errors.push(error);
+    }
+  });
+
+  return errors;
+};
+
+// Express middleware rejecting submissions that don't match the schema
+const validateForm = (schema) => {
+  return (req, res, next) => {
+    const errors = validateSubmission(schema, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  TRUE_VALUES,
+  fields,
+  dateRange,
+  validateSubmission,
+  validateForm
+};
@@ -0,0 +1,230 @@
+// Outbound webhook deliveries
+// Every POST to a webhook endpoint is a delivery in the local store, which
+// doubles as the delivery log. A background worker posts due deliveries,
+// retries failures with exponential backoff (like the mail queue) and gives
+// up after WEBHOOK_MAX_ATTEMPTS, leaving the delivery 'failed'. Finished
+// deliveries are kept for WEBHOOK_LOG_RETENTION_DAYS.
+//
+// Each request is signed with the endpoint's secret:
+//   X-Webhook-Id         delivery id, the same on every retry
+//   X-Webhook-Event      e.g. submission.created
+//   X-Webhook-Timestamp  unix seconds of this attempt
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 5 * 1000;
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 30;
+const STATUSES = ['pending', 'delivered', 'failed'];
+
+const store = createStore('webhook-deliveries');
+
+metrics.define('webhook_deliveries_total', { help: 'Webhook delivery attempts by result (delivered, retry, failed)' });
+metrics.gauge('webhook_pending_deliveries', 'Webhook deliveries waiting to be sent', () => [
+  { value: store.all().filter(delivery => delivery.status === 'pending').length }
+]);
+
+// Looks up the endpoint for a delivery at send time, so a rotated secret or
+// changed URL applies to retries; set by lib/webhooks.js
+let endpointFn = null;
+let timer = null;
+let processing = false;
+
+// 30s, 60s, 120s, ... capped, with up to 10% jitter so retries don't line up
+const backoffDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const newDelivery = (webhook, event, payload, status, submissionId = null) => {
+  const now = new Date().toISOString();
+  return store.insert({
+    id: crypto.randomUUID(),
+    webhookId: webhook.id,
+    submissionId,
+    event,
+    status,
+    attempts: 0,
+    lastError: null,
+    lastStatusCode: null,
+    createdAt: now,
+    nextAttemptAt: now,
+    deliveredAt: null,
+    requestId: logger.requestId(),
+    payload,
+    log: []
+  });
+};
+
+// Queue a delivery; payload is the JSON body to post
+const enqueue = (webhook, event, payload, { submissionId = null } = {}) => {
+  const delivery = newDelivery(webhook, event, payload, 'pending', submissionId);
+  setImmediate(processDeliveries);
+  return delivery;
+};
+
+// One POST; resolves to { ok, statusCode, error, durationMs }
+const post = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Fitcover360-Webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    const text = (await response.text().catch(() => '')).slice(0, 200);
+    return {
+      ok: response.ok,
+      statusCode: response.status,
+      error: response.ok ? null : `HTTP ${response.status}${text ? `: ${text}` : ''}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    // fetch reports network errors as "fetch failed" with the reason in cause
+    const reason = error.cause ? `${error.message}: ${error.cause.code || error.cause.message}` : error.message;
+    const message = error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : reason;
+    return { ok: false, statusCode: null, error: message, durationMs: Date.now() - startedAt };
+  }
+};
+
+// Post a delivery once and record the outcome. With retry false (test
+// fires) a failure is final.
+const attempt = async (delivery, { retry = true } = {}) => {
+  const webhook = endpointFn ? endpointFn(delivery.webhookId) : null;
+  const result = webhook
+    ? await post(webhook, delivery)
+    : { ok: false, statusCode: null, error: 'Webhook no longer exists', durationMs: 0 };
+  const attempts = delivery.attempts + 1;
+  const now = new Date().toISOString();
+  const giveUp = !result.ok && (!retry || !webhook || attempts >= MAX_ATTEMPTS);
+  const status = result.ok ? 'delivered' : giveUp ? 'failed' : 'pending';
+  const updated = store.update(delivery.id, record => ({
+    ...record,
+    status,
+    attempts,
+    lastError: result.error,
+    lastStatusCode: result.statusCode,
+    lastAttemptAt: now,
+    deliveredAt: result.ok ? now : null,
+    nextAttemptAt: status === 'pending' ? new Date(Date.now() + backoffDelay(attempts)).toISOString() : null,
+    log: record.log.concat({ at: now, statusCode: result.statusCode, error: result.error, durationMs: result.durationMs })
+  }));
+
+  const fields = { deliveryId: delivery.id, webhookId: delivery.webhookId, event: delivery.event, attempt: attempts, statusCode: result.statusCode };
+  if (result.ok) {
+    metrics.increment('webhook_deliveries_total', { result: 'delivered' });
+    logger.info('Webhook delivered', { ...fields, durationMs: result.durationMs });
+  } else if (giveUp) {
+    metrics.increment('webhook_deliveries_total', { result: 'failed' });
+    logger.error('Webhook delivery failed', { ...fields, error: result.error });
+  } else {
+    metrics.increment('webhook_deliveries_total', { result: 'retry' });
+    logger.warn('Webhook delivery failed, will retry', { ...fields, error: result.error, maxAttempts: MAX_ATTEMPTS });
+  }
+  return updated;
+};
+
+// Post straight away, once, and return the logged delivery (test fires).
+// The worker leaves 'sending' deliveries alone.
+const fire = (webhook, event, payload) => attempt(newDelivery(webhook, event, payload, 'sending'), { retry: false });
+
+const prune = (now = Date.now()) => {
+  const cutoff = now - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  store.all()
+    .filter(delivery => delivery.status !== 'pending' && new Date(delivery.lastAttemptAt || delivery.createdAt).getTime() < cutoff)
+    .forEach(delivery => store.remove(delivery.id));
+};
+
+// Post every due delivery one at a time; overlapping runs are skipped
+const processDeliveries = async () => {
+  if (processing || !endpointFn) return;
+  processing = true;
+  try {
+    const now = Date.now();
+    const due = store.all()
+      .filter(delivery => delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => new Date(a.nextAttemptAt) - new Date(b.nextAttemptAt));
+    for (const delivery of due) {
+      await logger.runWithRequestId(delivery.requestId, () => attempt(delivery));
+    }
+    prune(now);
+  } finally {
+    processing = false;
+  }
+};
+
+const start = (findEndpoint) => {
+  endpointFn = findEndpoint;
+  if (!timer) {
+    timer = setInterval(processDeliveries, POLL_INTERVAL_MS);
+    // Don't keep the process alive just for the worker
+    timer.unref();
+  }
+  setImmediate(processDeliveries);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+// Send a failed delivery again, with a fresh set of attempts
+const retry = (id) => {
+  const delivery = store.get(id);
+  if (!delivery || delivery.status !== 'failed') {
+    return null;
+  }
+  const updated = store.update(id, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+  setImmediate(processDeliveries);
+  return updated;
+};
+
+// Data privacy (lib/privacy.js): drop the deliveries, and so the logged
+// payloads, of a submission. Returns how many.
+const forgetSubmission = (submissionId) => {
+  const found = store.all().filter(delivery => delivery.submissionId === submissionId);
+  found.forEach(delivery => store.remove(delivery.id));
+  return found.length;
+};
+
+// Newest first, without the payload: { webhookId, status, event }
+const list = ({ webhookId, status, event } = {}) => store.all()
+  .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+  .filter(delivery => !status || delivery.status === status)
+  .filter(delivery => !event || delivery.event === event)
+  .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  .map(({ payload, ...delivery }) => delivery);
+
+module.exports = {
+  STATUSES,
+  enqueue,
+  fire,
+  start,
+  stop,
+  retry,
+  forgetSubmission,
+  list,
+  get: store.get
+};
@@ -0,0 +1,190 @@
+// Outbound webhooks
+// Endpoints are created from the admin API. Each one lists the forms it
+// wants ('*' for all) and gets every new submission of those forms, posted
+// and retried by lib/webhookQueue.js. Formats:
+//
+//   json   { id, event, createdAt, form, submission: { id, createdAt, locale, fields } }
+//          for your own services, Zapier-style tools or a Google Sheets Apps
+//          Script (fields is flat, one key per column)
+//   slack  { text } for a Slack (or compatible) incoming webhook
+//
+// fields, when set, limits which submission fields are sent, to keep
+// personal details out of a chat channel. Endpoints must use https unless
+// WEBHOOK_ALLOW_HTTP=true (local testing).
+
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const webhookQueue = require('./webhookQueue');
+const { getForm, listForms } = require('./forms');
+const { displayValue } = require('./emails');
+const { DEFAULT_LOCALE, fieldLabel, formName } = require('./i18n');
+
+const store = createStore('webhooks');
+
+const FORMATS = ['json', 'slack'];
+const EVENTS = { submission: 'submission.created', test: 'webhook.test' };
+const SLACK_VALUE_LENGTH = 300;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const formSlugs = () => listForms().map(form => form.slug);
+
+// Admin input -> list of { field, code, message }, like lib/validation.js.
+// partial: only check the fields given (PATCH).
+const validateWebhook = (input, { partial = false } = {}) => {
+  const errors = [];
+  const add = (field, code, message) => errors.push({ field, code, message });
+  const given = (field) => !partial || input[field] !== undefined;
+
+  if (given('name') && (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 100)) {
+    add('name', 'required', 'Name is required (max 100 characters)');
+  }
+  if (given('url')) {
+    let url = null;
+    try {
+      url = new URL(input.url);
+    } catch (error) {
+      add('url', 'invalid_url', 'Must be a valid URL');
+    }
+    if (url && url.protocol !== 'https:' && !(url.protocol === 'http:' && process.env.WEBHOOK_ALLOW_HTTP === 'true')) {
+      add('url', 'invalid_url', 'Must be an https URL');
+    }
+  }
+  if (given('forms')) {
+    const slugs = formSlugs();
+    if (!Array.isArray(input.forms) || input.forms.length === 0 ||
+        !input.forms.every(slug => slug === '*' || slugs.includes(slug))) {
+      add('forms', 'invalid_choice', `List one or more of: *, ${slugs.join(', ')}`);
+    }
+  }
+  if (input.format !== undefined && !FORMATS.includes(input.format)) {
+    add('format', 'invalid_choice', `Must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (input.fields !== undefined && input.fields !== null &&
+      !(Array.isArray(input.fields) && input.fields.every(field => typeof field === 'string'))) {
+    add('fields', 'invalid_type', 'Must be a list of field names');
+  }
+  if (input.active !== undefined && typeof input.active !== 'boolean') {
+    add('active', 'invalid_type', 'Must be true or false');
+  }
+  if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+    add('secret', 'too_short', 'Must be at least 16 characters');
+  }
+  return errors;
+};
+
+// What the admin API shows: the secret only as a prefix
+const describe = ({ secret, ...webhook }) => ({ ...webhook, secretPreview: `${secret.slice(0, 10)}...` });
+
+// Returns the new webhook with its full secret, shown this once
+const createWebhook = (input) => {
+  const now = new Date().toISOString();
+  return store.insert({
+    id: crypto.randomUUID(),
+    name: input.name.trim(),
+    url: input.url,
+    forms: input.forms,
+    format: input.format || 'json',
+    fields: input.fields || null,
+    active: input.active !== false,
+    secret: input.secret || generateSecret(),
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+// { name, url, forms, format, fields, active, secret, rotateSecret }.
+// Returns the webhook, with its secret when it changed.
+const updateWebhook = (id, input) => {
+  const changes = {};
+  ['name', 'url', 'forms', 'format', 'fields', 'active', 'secret'].forEach(key => {
+    if (input[key] !== undefined) changes[key] = key === 'name' ? input.name.trim() : input[key];
+  });
+  if (input.rotateSecret === true) {
+    changes.secret = generateSecret();
+  }
+  const webhook = store.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  return changes.secret ? webhook : describe(webhook);
+};
+
+const getWebhook = (id) => store.get(id);
+
+const listWebhooks = () => store.all().map(describe);
+
+const removeWebhook = (id) => store.remove(id);
+
+const pick = (payload, fields) => {
+  if (!fields) return { ...payload };
+  return fields.reduce((picked, field) => {
+    if (payload[field] !== undefined) picked[field] = payload[field];
+    return picked;
+  }, {});
+};
+
+const jsonPayload = (event, form, submission, fields) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date().toISOString(),
+  form: { slug: form.slug, name: form.name },
+  submission: {
+    id: submission.id,
+    createdAt: submission.createdAt,
+    locale: submission.locale || null,
+    fields: pick(submission.payload, fields)
+  }
+});
+
+const slackPayload = (event, form, submission, fields) => {
+  const name = formName(DEFAULT_LOCALE, form);
+  const lines = Object.entries(pick(submission.payload, fields))
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `• *${fieldLabel(DEFAULT_LOCALE, form, key)}:* ${String(displayValue(value)).slice(0, SLACK_VALUE_LENGTH)}`);
+  const heading = event === EVENTS.test ? `Test message for *${name}*` : `New *${name}* submission`;
+  return { text: [heading, ...lines, `_Submission ${submission.id}_`].join('\n') };
+};
+
+const buildPayload = (webhook, event, form, submission) => (webhook.format === 'slack'
+  ? slackPayload(event, form, submission, webhook.fields)
+  : jsonPayload(event, form, submission, webhook.fields));
+
+const subscribed = (webhook, slug) => webhook.active && (webhook.forms.includes('*') || webhook.forms.includes(slug));
+
+// Queue a delivery to every active endpoint for this form; returns them
+const dispatch = (form, submission) => store.all()
+  .filter(webhook => subscribed(webhook, form.slug))
+  .map(webhook => webhookQueue.enqueue(webhook, EVENTS.submission, buildPayload(webhook, EVENTS.submission, form, submission), {
+    submissionId: submission.id
+  }));
+
+// A made-up submission of the form (the webhook's first, unless given) with
+// the form's field names, posted once straight away. Resolves to the logged
+// delivery, or null for an unknown form.
+const testFire = async (webhook, slug) => {
+  const form = getForm(slug || webhook.forms.find(entry => entry !== '*') || formSlugs()[0]);
+  if (!form) {
+    return null;
+  }
+  const fields = {};
+  Object.keys(form.schema.fields).forEach(key => {
+    fields[key] = form.schema.fields[key].type === 'boolean' ? true : `Sample ${key}`;
+  });
+  const submission = { id: 'test', createdAt: new Date().toISOString(), locale: DEFAULT_LOCALE, payload: fields };
+  return webhookQueue.fire(webhook, EVENTS.test, buildPayload(webhook, EVENTS.test, form, submission));
+};
+
+const start = () => webhookQueue.start(getWebhook);
+
+module.exports = {
+  FORMATS,
+  EVENTS,
+  validateWebhook,
+  createWebhook,
+  updateWebhook,
+  getWebhook,
+  listWebhooks,
+  removeWebhook,
+  describe,
+  dispatch,
+  testFire,
+  start
+};
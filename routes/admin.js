@@ -0,0 +1,709 @@
+// Admin API
+// Every route here sits behind requireAdmin.
+
+const path = require('path');
+const express = require('express');
+const { requireAdmin } = require('../lib/adminAuth');
+const mailQueue = require('../lib/mailQueue');
+const submissions = require('../lib/submissions');
+const { getForm } = require('../lib/forms');
+const { FORMATS } = require('../lib/submissionExport');
+const metrics = require('../lib/metrics');
+const registrations = require('../lib/registrations');
+const coupons = require('../lib/coupons');
+const shifts = require('../lib/shifts');
+const { queueShiftEmail } = require('../lib/shiftNotifications');
+const pacerReviews = require('../lib/pacerReviews');
+const { queuePacerEmail } = require('../lib/pacerNotifications');
+const sponsorLeads = require('../lib/sponsorLeads');
+const sponsorReminders = require('../lib/sponsorReminders');
+const tickets = require('../lib/tickets');
+const { queueReply } = require('../lib/ticketNotifications');
+const webhooks = require('../lib/webhooks');
+const webhookQueue = require('../lib/webhookQueue');
+const privacy = require('../lib/privacy');
+const privacyRequests = require('../lib/privacyRequests');
+const fileStorage = require('../lib/fileStorage');
+const templates = require('../lib/templates');
+const templatePreview = require('../lib/templatePreview');
+const { resolveLocale } = require('../lib/i18n');
+const logger = require('../lib/logger');
+
+const router = express.Router();
+router.use(requireAdmin);
+
+// Counters such as form_rejections_total
+router.get('/metrics', (req, res) => {
+  res.json({ success: true, metrics: metrics.snapshot() });
+});
+
+// Mail queue overview
+router.get('/mail-queue', (req, res) => {
+  res.json({ success: true, ...mailQueue.stats() });
+});
+
+// Messages that exhausted their retries
+router.get('/mail-queue/dead-letter', (req, res) => {
+  const messages = mailQueue.listDeadLetters();
+  res.json({ success: true, count: messages.length, messages });
+});
+
+// Replay every dead-lettered message
+router.post('/mail-queue/dead-letter/replay', (req, res) => {
+  const replayed = mailQueue.listDeadLetters().map(message => mailQueue.replay(message.id));
+  res.json({ success: true, count: replayed.length, messages: replayed });
+});
+
+// Replay a single dead-lettered message
+router.post('/mail-queue/dead-letter/:id/replay', (req, res) => {
+  const message = mailQueue.replay(req.params.id);
+  if (!message) {
+    return res.status(404).json({ success: false, error: 'Dead-letter message not found' });
+  }
+  res.json({ success: true, mail: message });
+});
+
+// Parse ?from=&to= as dates; a bare YYYY-MM-DD "to" covers that whole day.
+// Returns { error } when a value is not a date.
+const parseDateRange = (query) => {
+  const range = {};
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const value = String(query[key]);
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `Invalid "${key}" date` };
+    }
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    range[key] = date;
+  }
+  return range;
+};
+
+// List submissions: ?form=&from=&to=&q=&status=&deliveryStatus=&page=&limit=
+router.get('/submissions', (req, res) => {
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ success: false, error: range.error });
+  }
+  if (req.query.status && !submissions.REVIEW_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Status must be one of: ${submissions.REVIEW_STATUSES.join(', ')}`
+    });
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const result = submissions.query({
+    form: req.query.form,
+    from: range.from,
+    to: range.to,
+    q: req.query.q,
+    status: req.query.status,
+    deliveryStatus: req.query.deliveryStatus,
+    verificationStatus: req.query.verificationStatus,
+    page,
+    limit
+  });
+  res.json({ success: true, ...result });
+});
+
+// Spreadsheet export for one form: ?form=&format=csv|xlsx&from=&to=&status=
+router.get('/submissions/export', async (req, res) => {
+  try {
+    const form = getForm(req.query.form);
+    if (!form) {
+      return res.status(404).json({ success: false, error: `Unknown form "${req.query.form || ''}"` });
+    }
+    const format = FORMATS[req.query.format || 'csv'];
+    if (!format) {
+      return res.status(400).json({ success: false, error: 'Format must be csv or xlsx' });
+    }
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+    if (req.query.status && !submissions.REVIEW_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${submissions.REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    // Spreadsheets read top-down, so export oldest first
+    const records = submissions.filter({
+      form: form.slug,
+      from: range.from,
+      to: range.to,
+      status: req.query.status
+    }).reverse();
+    const body = await format.build(form, records);
+    const filename = `${form.slug}-submissions-${new Date().toISOString().slice(0, 10)}.${req.query.format || 'csv'}`;
+    res.set('Content-Type', format.contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(Buffer.from(body));
+  } catch (error) {
+    logger.error('Submission export failed', { form: req.query.form, error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Single submission
+router.get('/submissions/:id', (req, res) => {
+  const submission = submissions.get(req.params.id);
+  if (!submission) {
+    return res.status(404).json({ success: false, error: 'Submission not found' });
+  }
+  // Bulk registrations carry the participants created from their roster
+  const participants = registrations.listBySubmission(submission.id);
+  res.json({ success: true, submission, registrations: participants });
+});
+
+// Stored upload (e.g. a profile image) of a submission
+router.get('/submissions/:id/files/:field', (req, res) => {
+  const submission = submissions.get(req.params.id);
+  const file = submission && submission.files && submission.files[req.params.field];
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'File not found' });
+  }
+  let content;
+  try {
+    content = fileStorage.read(file.key);
+  } catch (error) {
+    return res.status(404).json({ success: false, error: 'File not found' });
+  }
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `inline; filename="${path.basename(file.key)}"`);
+  res.send(content);
+});
+
+// Mark a submission reviewed, contacted or rejected: { status, note }
+router.patch('/submissions/:id/status', (req, res) => {
+  const { status, note } = req.body || {};
+  if (!submissions.REVIEW_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Status must be one of: ${submissions.REVIEW_STATUSES.join(', ')}`
+    });
+  }
+  if (!submissions.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Submission not found' });
+  }
+  const submission = submissions.setReviewStatus(req.params.id, status, {
+    note: note ? String(note).slice(0, 2000) : null
+  });
+  res.json({ success: true, submission: submissions.get(submission.id) });
+});
+
+// Race registrations: ?source=individual|bulk&status=&race=&page=&limit=
+router.get('/registrations', (req, res) => {
+  if (req.query.status && !registrations.STATUSES.includes(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Status must be one of: ${registrations.STATUSES.join(', ')}`
+    });
+  }
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const result = registrations.query({
+    source: req.query.source,
+    status: req.query.status,
+    raceCategory: req.query.race,
+    page,
+    limit
+  });
+  res.json({ success: true, ...result });
+});
+
+router.get('/registrations/:id', (req, res) => {
+  const registration = registrations.get(req.params.id);
+  if (!registration) {
+    return res.status(404).json({ success: false, error: 'Registration not found' });
+  }
+  res.json({ success: true, registration });
+});
+
+// Coupons with their current use counts
+router.get('/coupons', (req, res) => {
+  res.json({ success: true, coupons: coupons.list() });
+});
+
+// Body: { code, type: 'percent' | 'flat', value, description, maxRedemptions,
+// validFrom, expiresAt, raceCategories, appliesTo, minParticipants }
+router.post('/coupons', (req, res) => {
+  const input = req.body || {};
+  const errors = coupons.validateCoupon(input);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', errors });
+  }
+  res.status(201).json({ success: true, coupon: coupons.create(input) });
+});
+
+// Body: { active: false } withdraws a code; existing redemptions stay
+router.patch('/coupons/:code', (req, res) => {
+  const coupon = coupons.findByCode(req.params.code);
+  if (!coupon) {
+    return res.status(404).json({ success: false, error: 'Coupon not found' });
+  }
+  if (!req.body || typeof req.body.active !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'active must be true or false' });
+  }
+  res.json({ success: true, coupon: coupons.setActive(coupon.id, req.body.active) });
+});
+
+router.get('/coupons/:code/redemptions', (req, res) => {
+  const coupon = coupons.findByCode(req.params.code);
+  if (!coupon) {
+    return res.status(404).json({ success: false, error: 'Coupon not found' });
+  }
+  res.json({ success: true, coupon, redemptions: coupons.redemptionsOf(coupon) });
+});
+
+// Volunteer stations, e.g. { "name": "Water Station 3 (km 7)", "area": "water_station", "location", "notes" }
+router.get('/stations', (req, res) => {
+  res.json({ success: true, areas: shifts.AREA_CODES, stations: shifts.listStations() });
+});
+
+router.post('/stations', (req, res) => {
+  const input = req.body || {};
+  const errors = shifts.validateStation(input);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', errors });
+  }
+  res.status(201).json({ success: true, station: shifts.createStation(input) });
+});
+
+// Shifts: ?station=<id>. Body: { stationId, start, end, capacity, role, notes },
+// start/end as ISO date-times with an offset
+router.get('/shifts', (req, res) => {
+  res.json({ success: true, shifts: shifts.listShifts({ stationId: req.query.station }) });
+});
+
+router.post('/shifts', (req, res) => {
+  const input = req.body || {};
+  const errors = shifts.validateShift(input);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', errors });
+  }
+  res.status(201).json({ success: true, shift: shifts.createShift(input) });
+});
+
+// Staffing per shift (uncovered, partial, full, overbooked) and double-booked volunteers
+router.get('/shifts/coverage', (req, res) => {
+  res.json({ success: true, ...shifts.coverage({ stationId: req.query.station }) });
+});
+
+// Proposed assignments for open places; nothing is saved until applied
+router.get('/shifts/suggestions', (req, res) => {
+  res.json({ success: true, ...shifts.suggest({ stationId: req.query.station }) });
+});
+
+// Book volunteers and email each one. Body: { assignments: [{ shiftId,
+// submissionId }] }, typically the reviewed suggestions; without it the
+// current suggestions are applied as they stand
+router.post('/shifts/suggestions/apply', (req, res) => {
+  const body = req.body || {};
+  if (body.assignments !== undefined) {
+    const invalid = !Array.isArray(body.assignments) || body.assignments.some(item => !item || typeof item !== 'object' ||
+      typeof item.shiftId !== 'string' || typeof item.submissionId !== 'string');
+    if (invalid) {
+      return res.status(400).json({ success: false, error: 'assignments must be a list of { shiftId, submissionId }' });
+    }
+  }
+  const proposals = body.assignments || shifts.suggest({ stationId: body.stationId }).suggestions;
+  const results = proposals.map(({ shiftId, submissionId }) => {
+    const result = shifts.assign(shiftId, submissionId);
+    if (result.error) {
+      return { shiftId, submissionId, success: false, error: result.error.message, code: result.error.code };
+    }
+    const message = queueShiftEmail(result);
+    const assignment = message ? shifts.recordNotification(result.assignment.id, message.id) : result.assignment;
+    return { shiftId, submissionId, success: true, assignment };
+  });
+  res.json({
+    success: true,
+    assigned: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length,
+    results
+  });
+});
+
+router.get('/shifts/:id', (req, res) => {
+  const shift = shifts.getShift(req.params.id);
+  if (!shift) {
+    return res.status(404).json({ success: false, error: 'Shift not found' });
+  }
+  res.json({ success: true, shift: shifts.describeShift(shift) });
+});
+
+// Change start, end, capacity, role or notes. Volunteers already booked are not re-notified.
+router.patch('/shifts/:id', (req, res) => {
+  const shift = shifts.getShift(req.params.id);
+  if (!shift) {
+    return res.status(404).json({ success: false, error: 'Shift not found' });
+  }
+  const input = req.body || {};
+  const errors = shifts.validateShift({ ...shift, ...input }, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', errors });
+  }
+  res.json({ success: true, shift: shifts.updateShift(shift.id, input) });
+});
+
+// Book one volunteer. Body: { submissionId, allowOverbooking }
+router.post('/shifts/:id/assignments', (req, res) => {
+  const body = req.body || {};
+  const result = shifts.assign(req.params.id, body.submissionId, { allowOverbooking: body.allowOverbooking === true });
+  if (result.error) {
+    return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+  }
+  const message = queueShiftEmail(result);
+  const assignment = message ? shifts.recordNotification(result.assignment.id, message.id) : result.assignment;
+  res.status(201).json({ success: true, assignment });
+});
+
+// Cancel an assignment; the volunteer gets a cancellation with an .ics that removes the event
+router.delete('/shift-assignments/:id', (req, res) => {
+  const result = shifts.cancel(req.params.id);
+  if (result.error) {
+    return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+  }
+  const message = queueShiftEmail(result);
+  const assignment = message ? shifts.recordNotification(result.assignment.id, message.id) : result.assignment;
+  res.json({ success: true, assignment });
+});
+
+// Pacer applications: ?status=&group=
+router.get('/pacers', (req, res) => {
+  if (req.query.status && !pacerReviews.STATUSES.includes(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Status must be one of: ${pacerReviews.STATUSES.join(', ')}`
+    });
+  }
+  res.json({ success: true, applications: pacerReviews.list({ status: req.query.status, paceGroup: req.query.group }) });
+});
+
+// Quota use per pace group
+router.get('/pacers/groups', (req, res) => {
+  res.json({ success: true, groups: pacerReviews.groupSummary() });
+});
+
+router.get('/pacers/:id', (req, res) => {
+  const application = pacerReviews.get(req.params.id);
+  if (!application) {
+    return res.status(404).json({ success: false, error: 'Pacer application not found' });
+  }
+  res.json({ success: true, application });
+});
+
+// Move an application on: { status, paceGroup, note, reviewer, notify }.
+// The applicant is emailed unless notify is false.
+router.post('/pacers/:id/transitions', (req, res) => {
+  const { status, paceGroup, note, reviewer, notify } = req.body || {};
+  const result = pacerReviews.transition(req.params.id, status, {
+    paceGroup,
+    note,
+    by: reviewer ? String(reviewer).slice(0, 100) : 'admin'
+  });
+  if (result.error) {
+    return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+  }
+  const message = notify === false ? null : queuePacerEmail(result);
+  if (message) {
+    pacerReviews.recordNotification(req.params.id, message.id);
+  }
+  res.json({ success: true, application: pacerReviews.get(req.params.id), notified: Boolean(message) });
+});
+
+// Reviewer note without a status change: { note, reviewer }
+router.post('/pacers/:id/notes', (req, res) => {
+  const { note, reviewer } = req.body || {};
+  if (!note || typeof note !== 'string' || !note.trim()) {
+    return res.status(400).json({ success: false, error: 'note is required' });
+  }
+  const result = pacerReviews.addNote(req.params.id, note.trim(), { by: reviewer ? String(reviewer).slice(0, 100) : 'admin' });
+  if (result.error) {
+    return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+  }
+  res.status(201).json({ success: true, application: pacerReviews.get(req.params.id) });
+});
+
+// Sponsorship leads: ?stage=&tier=&owner=&stale=true
+router.get('/sponsorship/leads', (req, res) => {
+  if (req.query.stage && !sponsorLeads.STAGES.includes(req.query.stage)) {
+    return res.status(400).json({
+      success: false,
+      error: `Stage must be one of: ${sponsorLeads.STAGES.join(', ')}`
+    });
+  }
+  const leads = sponsorLeads.list({
+    stage: req.query.stage,
+    tier: req.query.tier,
+    owner: req.query.owner,
+    stale: req.query.stale === 'true'
+  });
+  res.json({ success: true, count: leads.length, leads });
+});
+
+// Lead count and value per stage
+router.get('/sponsorship/pipeline', (req, res) => {
+  res.json({ success: true, pipeline: sponsorLeads.summary() });
+});
+
+// Sold and remaining packages per tier, with waitlists
+router.get('/sponsorship/tiers', (req, res) => {
+  res.json({ success: true, tiers: sponsorLeads.inventory() });
+});
+
+// Email the follow-up reminder now instead of waiting for the next check
+router.post('/sponsorship/reminders', (req, res) => {
+  const { leads, message } = sponsorReminders.sendReminders();
+  res.json({ success: true, leads, mailId: message ? message.id : null });
+});
+
+router.get('/sponsorship/leads/:id', (req, res) => {
+  const lead = sponsorLeads.get(req.params.id);
+  if (!lead) {
+    return res.status(404).json({ success: false, error: 'Sponsorship lead not found' });
+  }
+  res.json({ success: true, lead });
+});
+
+// Edit the deal: { value, tier, owner, nextFollowUpAt, by }
+router.patch('/sponsorship/leads/:id', (req, res) => {
+  const input = req.body || {};
+  const result = sponsorLeads.update(req.params.id, input, { by: input.by ? String(input.by).slice(0, 100) : 'admin' });
+  if (result.errors) {
+    return res.status(400).json({ success: false, error: 'Validation failed', errors: result.errors });
+  }
+  if (result.error) {
+    return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+  }
+  res.json({ success: true, lead: sponsorLeads.get(req.params.id) });
+});
+
+// Move a lead on: { stage, note, lostReason, by }
+router.post('/sponsorship/leads/:id/stage', (req, res) => {
+  const { stage, note, lostReason, by } = req.body || {};
+  const result = sponsorLeads.transition(req.params.id, stage, {
+    note,
+    lostReason,
+    by: by ? String(by).slice(0, 100) : 'admin'
+  });
+  if (result.error) {
+    return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+  }
+  res.json({ success: true, lead: sponsorLeads.get(req.params.id) });
+});
+
+// Log a call or email without a stage change: { note, by }
+router.post('/sponsorship/leads/:id/notes', (req, res) => {
+  const { note, by } = req.body || {};
+  if (!note || typeof note !== 'string' || !note.trim()) {
+    return res.status(400).json({ success: false, error: 'note is required' });
+  }
+  const result = sponsorLeads.addNote(req.params.id, note.trim(), { by: by ? String(by).slice(0, 100) : 'admin' });
+  if (result.error) {
+    return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+  }
+  res.status(201).json({ success: true, lead: sponsorLeads.get(req.params.id) });
+});
+
+// Contact tickets: ?status=&email=
+router.get('/tickets', (req, res) => {
+  if (req.query.status && !tickets.STATUSES.includes(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Status must be one of: ${tickets.STATUSES.join(', ')}`
+    });
+  }
+  const list = tickets.list({ status: req.query.status, email: req.query.email });
+  res.json({ success: true, count: list.length, tickets: list });
+});
+
+// By reference (FC-10001) or id, with the whole conversation
+router.get('/tickets/:ref', (req, res) => {
+  const ticket = tickets.get(req.params.ref);
+  if (!ticket) {
+    return res.status(404).json({ success: false, error: 'Ticket not found' });
+  }
+  res.json({ success: true, ticket });
+});
+
+// Email a reply from the shared mailbox: { message, status, by }.
+// The ticket becomes pending (waiting on the requester) unless status says otherwise.
+router.post('/tickets/:ref/replies', (req, res) => {
+  const { message, status, by } = req.body || {};
+  if (!message || typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({ success: false, error: 'message is required' });
+  }
+  const result = tickets.addReply(req.params.ref, message.trim(), {
+    status,
+    by: by ? String(by).slice(0, 100) : 'admin'
+  });
+  if (result.error) {
+    return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+  }
+  const mail = queueReply(result);
+  res.status(201).json({ success: true, ticket: tickets.get(result.ticket.id), mailId: mail.id });
+});
+
+// Open, park or close a ticket without replying: { status, by }
+router.patch('/tickets/:ref', (req, res) => {
+  const { status, by } = req.body || {};
+  const result = tickets.setStatus(req.params.ref, status, { by: by ? String(by).slice(0, 100) : 'admin' });
+  if (result.error) {
+    return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+  }
+  res.json({ success: true, ticket: result.ticket });
+});
+
+// Outbound webhooks; secrets are only shown when created or rotated
+router.get('/webhooks', (req, res) => {
+  res.json({ success: true, webhooks: webhooks.listWebhooks() });
+});
+
+// { name, url, forms: ['contact'] or ['*'], format: json|slack, fields, active, secret }
+router.post('/webhooks', (req, res) => {
+  const input = req.body || {};
+  const errors = webhooks.validateWebhook(input);
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', errors });
+  }
+  res.status(201).json({ success: true, webhook: webhooks.createWebhook(input) });
+});
+
+router.get('/webhooks/:id', (req, res) => {
+  const webhook = webhooks.getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  res.json({ success: true, webhook: webhooks.describe(webhook) });
+});
+
+// Any of the create fields, or { rotateSecret: true }
+router.patch('/webhooks/:id', (req, res) => {
+  if (!webhooks.getWebhook(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  const input = req.body || {};
+  const errors = webhooks.validateWebhook(input, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', errors });
+  }
+  res.json({ success: true, webhook: webhooks.updateWebhook(req.params.id, input) });
+});
+
+// Pending deliveries to a removed webhook fail on their next attempt
+router.delete('/webhooks/:id', (req, res) => {
+  if (!webhooks.getWebhook(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  webhooks.removeWebhook(req.params.id);
+  res.json({ success: true });
+});
+
+// Post a sample submission once, now, and report how the endpoint answered:
+// { form } picks the sample form
+router.post('/webhooks/:id/test', async (req, res) => {
+  const webhook = webhooks.getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  const delivery = await webhooks.testFire(webhook, req.body && req.body.form);
+  if (!delivery) {
+    return res.status(400).json({ success: false, error: 'Unknown form' });
+  }
+  res.json({ success: true, delivered: delivery.status === 'delivered', delivery });
+});
+
+// Delivery log, newest first: ?webhook=&status=&event=
+router.get('/webhook-deliveries', (req, res) => {
+  if (req.query.status && !webhookQueue.STATUSES.includes(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Status must be one of: ${webhookQueue.STATUSES.join(', ')}`
+    });
+  }
+  const deliveries = webhookQueue.list({ webhookId: req.query.webhook, status: req.query.status, event: req.query.event });
+  res.json({ success: true, count: deliveries.length, deliveries });
+});
+
+// One delivery with the payload and every attempt
+router.get('/webhook-deliveries/:id', (req, res) => {
+  const delivery = webhookQueue.get(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Delivery not found' });
+  }
+  res.json({ success: true, delivery });
+});
+
+// Send a failed delivery again
+router.post('/webhook-deliveries/:id/retry', (req, res) => {
+  const delivery = webhookQueue.retry(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Failed delivery not found' });
+  }
+  res.json({ success: true, delivery });
+});
+
+// Export and erasure requests, newest first: ?type=&status=
+router.get('/privacy/requests', (req, res) => {
+  const list = privacyRequests.list({ type: req.query.type, status: req.query.status });
+  res.json({ success: true, count: list.length, requests: list });
+});
+
+// Apply the retention periods now instead of waiting for the hourly sweep;
+// { dryRun: true } only counts
+router.post('/privacy/retention', (req, res) => {
+  const result = privacy.applyRetention({ dryRun: req.body && req.body.dryRun === true });
+  res.json({ success: true, ...result });
+});
+
+// Email templates and their per-form overrides
+router.get('/templates', (req, res) => {
+  res.json({ success: true, templates: templates.listTemplates() });
+});
+
+// Render a template for one form. GET uses sample data from the form's
+// schema; POST renders { data } instead. format: html (default), text or json;
+// locale: ?locale=hi or Accept-Language.
+const PREVIEW_FORMATS = ['html', 'text', 'json'];
+
+const previewTemplate = (req, res) => {
+  const format = req.query.format || 'html';
+  if (!PREVIEW_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `format must be one of: ${PREVIEW_FORMATS.join(', ')}` });
+  }
+  const form = getForm(req.query.form || (req.body && req.body.form) || '');
+  if (!form) {
+    return res.status(400).json({ success: false, error: 'Unknown or missing form' });
+  }
+  const data = req.body && req.body.data && typeof req.body.data === 'object' ? req.body.data : undefined;
+  let content;
+  try {
+    content = templatePreview.preview(req.params.name, form, { data, locale: resolveLocale(req) });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: `Template failed to render: ${error.message}` });
+  }
+  if (!content) {
+    return res.status(404).json({ success: false, error: 'Template not found for this form' });
+  }
+
+  if (format === 'json') {
+    return res.json({ success: true, template: req.params.name, form: form.slug, ...content });
+  }
+  if (format === 'text') {
+    return res.type('text/plain').send(content.text);
+  }
+  res.type('html').send(content.html);
+};
+
+router.get('/templates/:name/preview', previewTemplate);
+router.post('/templates/:name/preview', previewTemplate);
+
+module.exports = router;
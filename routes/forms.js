@@ -0,0 +1,158 @@
+// Public form endpoints
+// Every form in the registry (config/forms.js) is mounted at POST /api/<slug>
+// and POST /api/forms/<slug>; GET /api/forms lists them.
+
+const express = require('express');
+const { getForm, listForms, describeForm } = require('../lib/forms');
+const { validateForm } = require('../lib/validation');
+const submissions = require('../lib/submissions');
+const mailer = require('../lib/mailer');
+const mailQueue = require('../lib/mailQueue');
+const { renderNotification } = require('../lib/emails');
+const { queueConfirmation } = require('../lib/confirmations');
+const webhooks = require('../lib/webhooks');
+const emailVerification = require('../lib/emailVerification');
+const { consentRecord } = require('../lib/privacy');
+const { resolveRecipients } = require('../lib/recipients');
+const { screenRequest, screenSubmission, rememberSubmission } = require('../lib/spamGuard');
+const { parseUploads } = require('../lib/uploads');
+const { detectLocale, resolveLocale } = require('../lib/i18n');
+const logger = require('../lib/logger');
+const metrics = require('../lib/metrics');
+
+const router = express.Router();
+
+metrics.define('form_submissions_total', { help: 'Form submissions saved, by form' });
+
+// Save the submission, then queue the internal notification, the
+// submitter's confirmation and the outbound webhooks; both queues retry in
+// the background. Forms with email verification hold the notification and
+// confirmation, and skip the webhooks, until the submitter clicks the
+// emailed link (lib/emailVerification.js).
+const handleSubmission = (form) => async (req, res) => {
+  try {
+    const formData = req.body;
+    // Form-specific checks and extras (e.g. the bulk registration roster)
+    const prepared = form.prepare ? await form.prepare(req, form) : {};
+    if (prepared.errors && prepared.errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', errors: prepared.errors });
+    }
+
+    const verify = emailVerification.isRequired(form, formData);
+    let submission;
+    try {
+      submission = submissions.create(form, formData, {
+        ...prepared.record,
+        locale: req.locale,
+        consent: consentRecord(form.schema, formData, req.ip),
+        ...(verify ? { verification: emailVerification.pendingState() } : {})
+      });
+    } catch (error) {
+      // Files the hook stored would belong to nothing
+      if (prepared.discard) {
+        prepared.discard();
+      }
+      throw error;
+    }
+    rememberSubmission(req, submission);
+    // Runs before any mail is queued. The submission is saved by now, so a
+    // failing hook is logged rather than failing the request, which would
+    // only make the client send it again.
+    let extras = {};
+    if (prepared.afterSave) {
+      try {
+        extras = (await prepared.afterSave(submission)) || {};
+      } catch (error) {
+        logger.error('Form afterSave hook failed', { form: form.slug, submissionId: submission.id, error });
+      }
+    }
+    const content = renderNotification(form, { ...formData, ...prepared.emailFields }, {
+      images: prepared.inlineImages,
+      locale: req.locale
+    });
+    const mailOptions = {
+      from: `"${formData.form_type || form.name}" <${mailer.defaultFromEmail()}>`,
+      ...resolveRecipients(form.slug, formData, form.recipients),
+      replyTo: formData.email,
+      subject: prepared.subjectTag ? `${content.subject} ${prepared.subjectTag}` : content.subject,
+      text: content.text,
+      html: content.html
+    };
+    if (prepared.attachments) {
+      mailOptions.attachments = prepared.attachments;
+    }
+
+    mailQueue.enqueue(mailOptions, { submissionId: submission.id, hold: verify });
+    queueConfirmation(form.slug, { ...formData, ...prepared.confirmationFields }, req.locale, {
+      subjectTag: prepared.subjectTag,
+      holdFor: verify ? submission.id : null
+    });
+    if (verify) {
+      emailVerification.sendVerification(form, submission);
+    } else {
+      webhooks.dispatch(form, submission);
+    }
+    metrics.increment('form_submissions_total', { form: form.slug });
+    logger.info('Form submission saved', {
+      form: form.slug,
+      submissionId: submission.id,
+      locale: req.locale,
+      attachments: (mailOptions.attachments || []).length,
+      verification: verify ? 'pending' : undefined
+    });
+    res.json({
+      success: true,
+      submissionId: submission.id,
+      message: verify ? 'Submission received; check your email to confirm it' : 'Submission received',
+      ...(verify ? { verification: { status: 'pending', expiresAt: submission.verification.expiresAt } } : {}),
+      ...extras
+    });
+  } catch (error) {
+    logger.error('Form submission failed', { form: form.slug, error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Uploads, locale, spam checks, validation and handling per form, built once
+const pipelines = new Map(listForms().map(form => [
+  form.slug,
+  [parseUploads(form), detectLocale, screenRequest(form), validateForm(form.schema), screenSubmission(form), handleSubmission(form)]
+]));
+
+// Run a pipeline inside another route, the way Express would chain it
+const runPipeline = (handlers, req, res, next) => {
+  const step = (index) => (error) => {
+    if (error) return next(error);
+    if (index < handlers.length) {
+      handlers[index](req, res, step(index + 1));
+    } else {
+      next();
+    }
+  };
+  step(0)();
+};
+
+// Available forms and their fields, labelled in the requested locale
+router.get('/forms', (req, res) => {
+  const locale = resolveLocale(req);
+  res.json({ success: true, locale, forms: listForms().map(form => describeForm(form, locale)) });
+});
+
+const resolveForm = (req, res, next) => {
+  const form = getForm(req.params.slug);
+  if (!form) {
+    return res.status(404).json({ success: false, error: `Unknown form "${req.params.slug}"` });
+  }
+  req.form = form;
+  next();
+};
+
+router.post('/forms/:slug', resolveForm, (req, res, next) => {
+  runPipeline(pipelines.get(req.form.slug), req, res, next);
+});
+
+listForms().forEach(form => {
+  router.post(`/${form.slug}`, ...pipelines.get(form.slug));
+});
+
+module.exports = router;
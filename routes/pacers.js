@@ -0,0 +1,42 @@
+// Public pacer lineup for the website
+//   GET /api/pacers/lineup       accepted pacers by pace group
+//   GET /api/pacers/:id/photo    an accepted pacer's profile photo
+
+const path = require('path');
+const express = require('express');
+const pacerReviews = require('../lib/pacerReviews');
+const fileStorage = require('../lib/fileStorage');
+
+const router = express.Router();
+
+// Changes only when reviewers accept or drop pacers, so caches may keep it a few minutes
+router.get('/pacers/lineup', (req, res) => {
+  const groups = pacerReviews.lineup().map(group => ({
+    ...group,
+    pacers: group.pacers.map(pacer => ({
+      name: pacer.name,
+      photoUrl: pacer.hasPhoto ? `/api/pacers/${pacer.id}/photo` : null
+    }))
+  }));
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({ success: true, groups });
+});
+
+router.get('/pacers/:id/photo', (req, res) => {
+  const file = pacerReviews.publicPhoto(req.params.id);
+  if (!file) {
+    return res.status(404).json({ success: false, error: 'Photo not found' });
+  }
+  let content;
+  try {
+    content = fileStorage.read(file.key);
+  } catch (error) {
+    return res.status(404).json({ success: false, error: 'Photo not found' });
+  }
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `inline; filename="${path.basename(file.key)}"`);
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.send(content);
+});
+
+module.exports = router;
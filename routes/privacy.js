@@ -0,0 +1,130 @@
+// Data export and erasure requests (lib/privacyRequests.js)
+//   POST /api/privacy/requests        { email, type: export | erasure }; emails
+//                                     a confirmation link to the address
+//   GET  /api/privacy/confirm?token=  the link: a page with a button to confirm
+//   POST /api/privacy/confirm         { token }; carries the request out. An
+//                                     export downloads as JSON.
+//
+// Confirming takes a POST so that mail scanners opening the link can't erase
+// anyone's data. Clients asking for JSON get { success, status, type }.
+
+const express = require('express');
+const privacyRequests = require('../lib/privacyRequests');
+const publicPage = require('../lib/publicPage');
+const { fields: f, validateForm } = require('../lib/validation');
+const { screenRequest, countSubmission, createLimiter } = require('../lib/spamGuard');
+const { detectLocale, resolveLocale, t } = require('../lib/i18n');
+const logger = require('../lib/logger');
+const { requests: settings } = require('../config/privacy');
+
+const router = express.Router();
+
+const requestSchema = {
+  fields: {
+    email: { ...f.EMAIL, required: true },
+    type: { type: 'string', oneOf: privacyRequests.TYPES, required: true }
+  }
+};
+
+// Requests per address, so nobody can flood a mailbox with links
+const emailLimiter = createLimiter(settings.perEmailLimit, settings.perEmailWindowMs);
+
+const HTTP_STATUS = { pending: 200, completed: 200, already_completed: 409, expired: 410, invalid: 400 };
+
+const requireAvailable = (req, res, next) => {
+  if (!privacyRequests.isAvailable()) {
+    return res.status(503).json({ success: false, error: 'Data requests are not available', code: 'not_configured' });
+  }
+  next();
+};
+
+router.post(
+  '/privacy/requests',
+  requireAvailable,
+  detectLocale,
+  screenRequest({ slug: 'privacy-request' }),
+  validateForm(requestSchema),
+  (req, res) => {
+    try {
+      const { email, type } = req.body;
+      const retryAfterMs = emailLimiter.hit(String(email).trim().toLowerCase());
+      if (retryAfterMs > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(429).json({
+          success: false,
+          error: 'Too many requests for this email address. Please try again later.',
+          code: 'rate_limited'
+        });
+      }
+      privacyRequests.create(type, email, req.locale);
+      countSubmission(req);
+      res.status(202).json({ success: true, message: 'Check your email for a link to confirm the request' });
+    } catch (error) {
+      logger.error('Privacy request failed', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+const wantsJson = (req) => req.accepts(['html', 'json']) === 'json';
+
+const statusPage = (req, res, { status, request }) => {
+  const locale = (request && request.locale) || resolveLocale(req);
+  res.status(HTTP_STATUS[status]).type('html').send(publicPage.render({
+    locale,
+    title: t(locale, 'privacy.page.title'),
+    paragraphs: [t(locale, `privacy.page.${status}`)]
+  }));
+};
+
+router.get('/privacy/confirm', requireAvailable, (req, res) => {
+  const checked = privacyRequests.check(req.query.token);
+  const { status, request, email } = checked;
+  res.set('Cache-Control', 'no-store');
+  if (wantsJson(req)) {
+    return res.status(HTTP_STATUS[status]).json({ success: status === 'pending', status, type: request ? request.type : null });
+  }
+  if (status !== 'pending') {
+    return statusPage(req, res, checked);
+  }
+  const locale = request.locale || resolveLocale(req);
+  const tr = (key, params) => t(locale, `privacy.${request.type}.${key}`, params);
+  res.type('html').send(publicPage.render({
+    locale,
+    title: t(locale, 'privacy.page.title'),
+    paragraphs: [tr('confirm', { email })],
+    form: { action: req.baseUrl + req.path, fields: { token: req.query.token }, button: tr('pageButton') }
+  }));
+});
+
+router.post('/privacy/confirm', requireAvailable, (req, res) => {
+  try {
+    const completed = privacyRequests.complete(req.body.token);
+    const { status, request, data } = completed;
+    res.set('Cache-Control', 'no-store');
+    if (status !== 'completed') {
+      // A link used twice, expired or tampered with
+      return wantsJson(req)
+        ? res.status(HTTP_STATUS[status]).json({ success: false, status, type: request ? request.type : null })
+        : statusPage(req, res, completed);
+    }
+    if (request.type === 'export') {
+      res.attachment('fitcover360-my-data.json');
+      return res.json(data);
+    }
+    if (wantsJson(req)) {
+      return res.json({ success: true, status, type: request.type, erased: request.result });
+    }
+    const locale = request.locale || resolveLocale(req);
+    res.type('html').send(publicPage.render({
+      locale,
+      title: t(locale, 'privacy.page.title'),
+      paragraphs: [t(locale, 'privacy.erasure.done')]
+    }));
+  } catch (error) {
+    logger.error('Privacy request confirmation failed', { error });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+// Race registration and payment endpoints
+//   GET  /api/races                        races, current prices, places left
+//   POST /api/registrations                register a runner and create a payment order
+//   GET  /api/registrations/:id?email=     registration status (after checkout)
+//   POST /api/payments/webhook             gateway webhook (signed)
+//   POST /api/payments/mock/:orderId/pay   mock gateway only: simulate a payment
+//   POST /api/coupons/validate             check a coupon code and quote the price
+
+const express = require('express');
+const registrations = require('../lib/registrations');
+const raceRegistration = require('../lib/raceRegistration');
+const payments = require('../lib/payments');
+const coupons = require('../lib/coupons');
+const pricing = require('../lib/pricing');
+const { validateForm } = require('../lib/validation');
+const { screenRequest, countSubmission, createLimiter } = require('../lib/spamGuard');
+const { detectLocale } = require('../lib/i18n');
+const { consentRecord } = require('../lib/privacy');
+const logger = require('../lib/logger');
+
+const router = express.Router();
+
+// Coupon lookups per IP, so codes can't be guessed by brute force
+const couponLimiter = createLimiter(
+  parseInt(process.env.COUPON_VALIDATE_MAX, 10) || 20,
+  parseInt(process.env.COUPON_VALIDATE_WINDOW_MS, 10) || 15 * 60 * 1000
+);
+
+// What the runner sees about their registration
+const describeRegistration = (registration) => ({
+  id: registration.id,
+  status: registration.status,
+  raceCategory: registration.participant.raceCategory,
+  name: registration.participant.name,
+  price: registration.price,
+  expiresAt: registration.status === 'pending_payment' ? registration.expiresAt : null,
+  bibNumber: registration.bibNumber,
+  confirmedAt: registration.confirmedAt
+});
+
+router.get('/races', (req, res) => {
+  res.json({ success: true, ...raceRegistration.describeRaces() });
+});
+
+router.post(
+  '/registrations',
+  detectLocale,
+  screenRequest({ slug: 'registration' }),
+  validateForm(raceRegistration.registrationSchema),
+  async (req, res) => {
+    try {
+      // Only the declared fields are kept; the coupon code and consent
+      // checkboxes aren't part of the participant
+      const { couponCode, privacyTermsAccepted, smsAuthorization, ...fields } = raceRegistration.registrationSchema.fields;
+      const participant = {};
+      Object.keys(fields).forEach(field => {
+        if (req.body[field] !== undefined && req.body[field] !== '') {
+          participant[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+        }
+      });
+
+      const result = await raceRegistration.register(participant, {
+        locale: req.locale,
+        couponCode: req.body.couponCode,
+        consent: consentRecord(raceRegistration.registrationSchema, req.body, req.ip)
+      });
+      if (result.error) {
+        return res.status(result.error.status).json({ success: false, error: result.error.message, code: result.error.code });
+      }
+      countSubmission(req);
+      res.status(201).json({
+        success: true,
+        registration: describeRegistration(result.registration),
+        checkout: result.checkout
+      });
+    } catch (error) {
+      logger.error('Registration failed', { error });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// The email must match, so ids alone don't reveal anyone's registration
+router.get('/registrations/:id', (req, res) => {
+  const registration = registrations.get(req.params.id);
+  const email = String(req.query.email || '').trim().toLowerCase();
+  // Anonymized registrations have no email left, so they are never found
+  const registeredEmail = registration && String(registration.participant.email || '').toLowerCase();
+  if (!registration || registration.source !== 'individual' || !registeredEmail || registeredEmail !== email) {
+    return res.status(404).json({ success: false, error: 'Registration not found' });
+  }
+  res.json({ success: true, registration: describeRegistration(registration) });
+});
+
+// Verify and apply a signed gateway event; shared by the webhook and the mock
+const processWebhook = (rawBody, signature) => {
+  if (!payments.verifyWebhook(rawBody, signature)) {
+    return { status: 401, body: { success: false, error: 'Invalid signature' } };
+  }
+  let paymentEvent;
+  try {
+    paymentEvent = payments.parseWebhook(JSON.parse(rawBody.toString('utf8')));
+  } catch (error) {
+    return { status: 400, body: { success: false, error: 'Invalid webhook body' } };
+  }
+  // Acknowledge events we don't handle so the gateway stops retrying them
+  if (!paymentEvent) {
+    return { status: 200, body: { success: true, ignored: true } };
+  }
+  const { outcome, registration } = raceRegistration.applyPaymentEvent(paymentEvent);
+  if (outcome === 'unknown_order') {
+    logger.warn('Payment webhook for unknown order', { orderId: paymentEvent.orderId });
+  }
+  return {
+    status: 200,
+    body: { success: true, outcome, registration: registration ? describeRegistration(registration) : null }
+  };
+};
+
+router.post('/payments/webhook', (req, res) => {
+  const result = processWebhook(req.rawBody, req.get('X-Razorpay-Signature'));
+  res.status(result.status).json(result.body);
+});
+
+// Stands in for the gateway's checkout page: sends the signed webhook the real
+// gateway would. Body: { "outcome": "paid" | "failed" }
+router.post('/payments/mock/:orderId/pay', (req, res) => {
+  if (!payments.isMock()) {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+  const registration = registrations.findByOrderId(req.params.orderId);
+  if (!registration) {
+    return res.status(404).json({ success: false, error: 'Order not found' });
+  }
+  const outcome = req.body && req.body.outcome === 'failed' ? 'failed' : 'paid';
+  const webhook = payments.mockWebhook({
+    id: registration.payment.orderId,
+    amount: registration.price.amount,
+    currency: registration.price.currency
+  }, outcome);
+  const result = processWebhook(Buffer.from(webhook.body), webhook.signature);
+  res.status(result.status).json(result.body);
+});
+
+// Body: { code, kind: 'individual' | 'bulk', raceCategory, numberOfParticipants }
+// Individual runners get their price after the coupon; groups get the tier
+// discount and coupon, priced when raceCategory is given.
+router.post('/coupons/validate', (req, res) => {
+  const retryAfterMs = couponLimiter.hit(req.ip);
+  if (retryAfterMs > 0) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({ success: false, error: 'Too many attempts. Please try again later.', code: 'rate_limited' });
+  }
+
+  const body = req.body || {};
+  const kind = body.kind === 'bulk' ? 'bulk' : 'individual';
+  const category = body.raceCategory ? pricing.getCategory(String(body.raceCategory).toUpperCase()) : null;
+  if (body.raceCategory && !category) {
+    return res.status(400).json({ success: false, valid: false, error: 'Unknown race category', code: 'unknown_race' });
+  }
+  if (kind === 'individual' && !category) {
+    return res.status(400).json({ success: false, valid: false, error: 'raceCategory is required', code: 'race_required' });
+  }
+  const participants = kind === 'bulk' ? parseInt(body.numberOfParticipants, 10) : 1;
+  if (!Number.isInteger(participants) || participants < 1) {
+    return res.status(400).json({ success: false, valid: false, error: 'numberOfParticipants must be a positive integer', code: 'participants_required' });
+  }
+
+  const { coupon, error } = coupons.check(body.code, { kind, raceCategory: category && category.code, participants });
+  if (error) {
+    return res.status(400).json({ success: false, valid: false, error: error.message, code: error.code });
+  }
+  const quote = kind === 'bulk'
+    ? pricing.quoteGroup({ participants, items: category ? Array(participants).fill(category.code) : [], coupon })
+    : pricing.quoteIndividual(category, coupon);
+  res.json({ success: true, valid: true, coupon: coupons.describe(coupon), quote });
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// Public sponsorship tiers for the website
+//   GET /api/sponsorship/tiers   each tier and whether any packages are left
+
+const express = require('express');
+const sponsorLeads = require('../lib/sponsorLeads');
+
+const router = express.Router();
+
+// Changes only when a deal is won or lost, so caches may keep it a few minutes
+router.get('/sponsorship/tiers', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({ success: true, tiers: sponsorLeads.publicTiers() });
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+// Inbound email for contact tickets
+//   POST /api/tickets/inbound   an email forwarded by the mail provider's
+//                               inbound webhook (JSON or form-encoded)
+//
+// The provider must send TICKETS_INBOUND_SECRET as the x-inbound-secret
+// header or ?secret= (for providers that only take a URL). Field names of
+// the common providers are accepted: from/sender, subject, text/body-plain/
+// stripped-text, messageId/Message-Id, inReplyTo/In-Reply-To and
+// references/References.
+
+const express = require('express');
+const { safeEqual } = require('../lib/adminAuth');
+const tickets = require('../lib/tickets');
+const { queueInboundAlert } = require('../lib/ticketNotifications');
+const logger = require('../lib/logger');
+
+const router = express.Router();
+
+const first = (body, names) => {
+  const name = names.find(key => body[key] !== undefined && body[key] !== null && body[key] !== '');
+  return name ? String(body[name]) : null;
+};
+
+const htmlToText = (html) => String(html)
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/p>/gi, '\n\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>');
+
+const normalizeEmail = (body) => {
+  const html = first(body, ['html', 'body-html', 'stripped-html']);
+  return {
+    from: first(body, ['from', 'sender', 'From']),
+    subject: first(body, ['subject', 'Subject']) || '',
+    text: first(body, ['text', 'stripped-text', 'body-plain']) || (html ? htmlToText(html) : ''),
+    messageId: first(body, ['messageId', 'Message-Id', 'Message-ID', 'message-id']),
+    inReplyTo: first(body, ['inReplyTo', 'In-Reply-To', 'in-reply-to']),
+    references: first(body, ['references', 'References'])
+  };
+};
+
+const requireInboundSecret = (req, res, next) => {
+  const secret = process.env.TICKETS_INBOUND_SECRET;
+  if (!secret) {
+    return res.status(503).json({ success: false, error: 'Inbound email not configured. Please set TICKETS_INBOUND_SECRET.' });
+  }
+  const provided = req.get('x-inbound-secret') || req.query.secret;
+  if (!provided || !safeEqual(provided, secret)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  next();
+};
+
+// Unmatched mail is acknowledged too, so the provider doesn't retry it
+router.post('/tickets/inbound', requireInboundSecret, (req, res) => {
+  const email = normalizeEmail(req.body || {});
+  if (!email.from || !email.text.trim()) {
+    return res.status(400).json({ success: false, error: 'from and a message body are required' });
+  }
+  const result = tickets.receive(email);
+  if (!result) {
+    logger.warn('Inbound email matched no ticket', { from: email.from, subject: email.subject });
+    return res.json({ success: true, matched: false });
+  }
+  if (!result.duplicate && result.message.held) {
+    logger.warn('Inbound email from someone other than the requester held for review', { reference: result.ticket.reference, from: email.from });
+  } else if (!result.duplicate) {
+    queueInboundAlert(result);
+    logger.info('Inbound email added to ticket', { reference: result.ticket.reference, status: result.ticket.status });
+  }
+  res.json({
+    success: true,
+    matched: true,
+    duplicate: result.duplicate,
+    held: Boolean(result.message.held),
+    reference: result.ticket.reference,
+    status: result.ticket.status
+  });
+});
+
+module.exports = router;
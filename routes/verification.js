@@ -0,0 +1,39 @@
+// Email verification links
+//   GET /api/verify-email?token=...   the link in the double opt-in email
+//
+// With EMAIL_VERIFICATION_REDIRECT_URL set, the browser is sent there with
+// ?status=verified|already_verified|expired|invalid so the website can show
+// its own page; otherwise a short page in the submitter's language is shown.
+// Clients asking for JSON get { success, status }.
+
+const express = require('express');
+const emailVerification = require('../lib/emailVerification');
+const publicPage = require('../lib/publicPage');
+const { resolveLocale, t } = require('../lib/i18n');
+
+const router = express.Router();
+
+const HTTP_STATUS = { verified: 200, already_verified: 200, expired: 410, invalid: 400 };
+
+router.get('/verify-email', (req, res) => {
+  const { status, submission } = emailVerification.verify(req.query.token);
+  res.set('Cache-Control', 'no-store');
+
+  if (req.accepts(['html', 'json']) === 'json') {
+    return res.status(HTTP_STATUS[status]).json({ success: HTTP_STATUS[status] === 200, status });
+  }
+  const redirect = process.env.EMAIL_VERIFICATION_REDIRECT_URL;
+  if (redirect) {
+    const url = new URL(redirect);
+    url.searchParams.set('status', status);
+    return res.redirect(303, url.toString());
+  }
+  const locale = (submission && submission.locale) || resolveLocale(req);
+  res.status(HTTP_STATUS[status]).type('html').send(publicPage.render({
+    locale,
+    title: t(locale, 'verification.page.title'),
+    paragraphs: [t(locale, `verification.page.${status}`)]
+  }));
+});
+
+module.exports = router;